@@ -1,118 +1,303 @@
 #!/usr/bin/env node
 import chalk from "chalk";
-import { parseCliArgs, getRepositoryName } from "./src/utils.js";
+import { execCommand, resolveRepositories } from "./src/utils.js";
+import { createProgram } from "./src/cli.js";
 import {
   getBasicStats,
   getLineStats,
   getContributorStats,
+  getPersonalStats,
   getTimeBasedStats,
+  getPunchCard,
   getCommitFrequencyStats,
   getCommitSizeStats,
   getLanguageStats,
+  getTouchedLanguageStats,
   getFileChurnStats,
+  getBiggestRefactors,
   getBranchStats,
 } from "./src/stats.js";
-import { getStreakStats } from "./src/streaks.js";
+import { getStreakStats, generateStreakCalendar } from "./src/streaks.js";
+import { loadCommitHistory } from "./src/history.js";
+import { getComparison } from "./src/compare.js";
+import { getLanguageEvolution } from "./src/evolution.js";
+import { getCommitMessageStats } from "./src/messages.js";
+import { getPullRequestStats } from "./src/pulls.js";
+import { getOwnershipStats } from "./src/ownership.js";
+import { getHotspots } from "./src/hotspots.js";
+import { loadConfig, mergeConfigs } from "./src/identity.js";
+import {
+  mergeLineStats,
+  mergeLanguageStats,
+  getRepositoryBreakdown,
+} from "./src/aggregate.js";
 import {
   displayBanner,
   displayRepositoryOverview,
+  displayRepositoryBreakdown,
+  displayPersonalStats,
   displayTimeline,
   displayContributors,
   displayCodeStats,
+  displayLanguageEvolution,
   displayCommitFrequency,
   displayTimeAnalysis,
   displayStreakStats,
+  displayContributionHeatmap,
+  displayPunchCard,
   displayCommitSizeStats,
+  displayCommitMessages,
+  displayPullRequests,
+  displayOwnership,
   displayFileChurn,
+  displayHotspots,
+  displayBiggestRefactors,
   displayBranchStats,
+  displayComparison,
   displayFunFacts,
   displayFooter,
   createSpinner,
 } from "./src/display.js";
+import { buildJsonReport, writeJsonReport } from "./src/export.js";
+import { writeHtmlReport } from "./src/html.js";
+
+// Collectors for each section of the report. History-based collectors
+// derive from the single history pass; the others read the tree of --at.
+const COLLECTORS = {
+  basicStats: ({ history }) => getBasicStats(history),
+  lineStats: ({ history, options, verbose }) =>
+    mergeLineStats(
+      history.repositories.map((repository) => ({
+        repository,
+        stats: getLineStats(verbose, repository.path, options.at || "HEAD"),
+      }))
+    ),
+  contributors: ({ history, options }) => getContributorStats(history, options),
+  personalStats: ({ history }) => getPersonalStats(history),
+  timeStats: ({ history }) => getTimeBasedStats(history),
+  punchCard: ({ history, options }) => getPunchCard(history, options),
+  frequencyStats: ({ history }) => getCommitFrequencyStats(history),
+  sizeStats: ({ history, options, verbose }) =>
+    getCommitSizeStats(history, options, verbose),
+  messageStats: ({ history }) => getCommitMessageStats(history),
+  pullRequestStats: ({ history }) => getPullRequestStats(history),
+  ownershipStats: ({ history, options, verbose }) =>
+    getOwnershipStats(history, options, verbose),
+  languageStats: ({ history, options, verbose }) =>
+    history.author
+      ? getTouchedLanguageStats(history)
+      : mergeLanguageStats(
+          history.repositories.map((repository) => ({
+            repository,
+            stats: getLanguageStats(
+              verbose,
+              repository.path,
+              options.at || "HEAD"
+            ),
+          }))
+        ),
+  languageEvolution: ({ history, verbose }) =>
+    getLanguageEvolution(history, verbose),
+  fileChurn: ({ history }) => getFileChurnStats(history),
+  hotspots: ({ history, verbose }) => getHotspots(history, verbose),
+  biggestRefactors: ({ history }) => getBiggestRefactors(history),
+  branchStats: ({ history }) => getBranchStats(history),
+  streakStats: ({ history }) => getStreakStats(history),
+  streakCalendar: ({ history, options }) =>
+    generateStreakCalendar(history, options),
+  repositories: ({ history }) => getRepositoryBreakdown(history),
+  comparison: ({ history, options }) => getComparison(history, options.periods),
+};
+
+// Sections of the full report
+const REPORT_SECTIONS = Object.keys(COLLECTORS).filter(
+  (section) => section !== "comparison"
+);
 
 /**
- * Main function to run Git Wrapped
+ * Run a command: collect the requested statistics and render them
+ * @param {Object} options - Run options from the CLI
+ * @param {Array<string>} sections - Keys of COLLECTORS to gather
+ * @param {Function} display - Renders the statistics as terminal output
  */
-async function main() {
+async function runCommand(options, sections, display) {
   try {
-    // Parse command line arguments
-    const options = parseCliArgs();
     const verbose = options.verbose;
+    const isJson = options.format === "json";
 
-    // Show help if requested
-    if (process.argv.includes("--help") || process.argv.includes("-h")) {
-      displayHelp();
-      return;
+    // Fail early when there is no repository to analyze
+    options.repositories = resolveRepositories(
+      options.repos,
+      options.scan,
+      verbose
+    );
+
+    // Load the project config (author aliases and bots) of every repository
+    options.config = mergeConfigs(
+      options.repositories.map(({ path }) => loadConfig(verbose, path))
+    );
+
+    // A personal report for the configured git user
+    if (options.me) {
+      options.author = execCommand(
+        "git config user.email",
+        verbose,
+        options.repositories[0].path
+      );
+      if (!options.author) {
+        throw new Error("--me needs git config user.email to be set.");
+      }
+    }
+
+    // Lines of code and languages are counted at this revision
+    if (options.at) {
+      options.repositories.forEach(({ name, path }) => {
+        const commit = execCommand(
+          `git rev-parse --verify -q "${options.at}^{commit}"`,
+          verbose,
+          path
+        );
+        if (!commit) {
+          throw new Error(`Unknown revision "${options.at}" in ${name}.`);
+        }
+      });
     }
 
     // Display banner
-    const repoName = getRepositoryName(verbose);
-    displayBanner(repoName, options);
+    const repoName =
+      options.repositories.length > 1
+        ? `${options.repositories.length} repositories`
+        : options.repositories[0].name;
+    if (!isJson) {
+      displayBanner(repoName, options);
+    }
 
     // Create spinner for loading
     const spinner = createSpinner("Gathering repository statistics...");
-    if (!options.minimal) {
+    const showSpinner = !options.minimal && !isJson;
+    if (showSpinner) {
       spinner.start();
     }
 
-    // Collect all statistics
+    // Collect statistics
     const allStats = {};
 
+    // Read the history once; every history-based stat derives from it
+    let history;
     try {
-      // Basic stats
-      allStats.basicStats = getBasicStats(options, verbose);
-
-      // Line stats
-      allStats.lineStats = getLineStats(verbose);
-
-      // Contributor stats
-      allStats.contributors = getContributorStats(options, verbose);
-
-      // Time-based stats
-      allStats.timeStats = getTimeBasedStats(options, verbose);
-
-      // Commit frequency stats
-      allStats.frequencyStats = getCommitFrequencyStats(options, verbose);
-
-      // Commit size stats
-      allStats.sizeStats = getCommitSizeStats(options, verbose);
-
-      // Language stats
-      allStats.languageStats = getLanguageStats(verbose);
-
-      // File churn stats
-      allStats.fileChurn = getFileChurnStats(options, verbose);
-
-      // Branch stats
-      allStats.branchStats = getBranchStats(options, verbose);
-
-      // Streak stats
-      allStats.streakStats = getStreakStats(options, verbose);
+      history = await loadCommitHistory(options, verbose);
+    } catch (error) {
+      if (showSpinner) {
+        spinner.fail("Failed to read the commit history");
+      }
+      throw error;
+    }
 
-      if (!options.minimal) {
-        spinner.succeed("Statistics gathered successfully!");
+    // A failing section is left out and reported; the others still run
+    const errors = [];
+    sections.forEach((section) => {
+      try {
+        allStats[section] = COLLECTORS[section]({ history, options, verbose });
+      } catch (error) {
+        errors.push({ section, message: error.message });
+        if (verbose) {
+          console.error(error.stack);
+        }
       }
-    } catch (error) {
-      if (!options.minimal) {
+    });
+
+    if (errors.length > 0) {
+      if (showSpinner) {
         spinner.fail("Failed to gather some statistics");
       }
-      if (verbose) {
-        console.error(chalk.red("Error:", error.message));
+      if (!isJson) {
+        errors.forEach(({ section, message }) => {
+          console.error(chalk.red(`Error in ${section}: ${message}`));
+        });
       }
+    } else if (showSpinner) {
+      spinner.succeed("Statistics gathered successfully!");
+    }
+
+    // Write the shareable HTML report
+    if (options.html) {
+      writeHtmlReport(allStats, repoName, options, options.html);
+      if (!isJson) {
+        console.log(chalk.green(`HTML report saved to ${options.html}`));
+      }
+    }
+
+    // Export as JSON for scripts and dashboards
+    if (isJson) {
+      writeJsonReport(
+        buildJsonReport(
+          allStats,
+          repoName,
+          options,
+          sections.filter((section) => section in allStats),
+          errors
+        ),
+        options.output
+      );
+      return;
     }
 
     // Display results in CLI
-    displayResults(allStats, options);
+    display(allStats, options);
+    displayFooter();
   } catch (error) {
     console.error(chalk.red("\n❌ Error running Git Wrapped:"));
     console.error(chalk.red(error.message));
-    if (options && options.verbose) {
+    if (options.verbose) {
       console.error(error.stack);
     }
     process.exit(1);
   }
 }
 
+/**
+ * Main function to run Git Wrapped
+ */
+async function main() {
+  const program = createProgram({
+    report: (options) => runCommand(options, REPORT_SECTIONS, displayResults),
+    contributors: (options) =>
+      runCommand(options, ["contributors"], (allStats) =>
+        displayContributors(allStats.contributors, options)
+      ),
+    streaks: (options) =>
+      runCommand(options, ["streakStats", "streakCalendar"], (allStats) => {
+        displayStreakStats(allStats.streakStats, options);
+        displayContributionHeatmap(allStats.streakCalendar, options);
+      }),
+    punchcard: (options) =>
+      runCommand(options, ["punchCard"], (allStats) =>
+        displayPunchCard(allStats.punchCard, options)
+      ),
+    ownership: (options) =>
+      runCommand(options, ["ownershipStats"], (allStats) =>
+        displayOwnership(allStats.ownershipStats, options)
+      ),
+    branches: (options) =>
+      runCommand(options, ["branchStats"], (allStats) =>
+        displayBranchStats(allStats.branchStats, options)
+      ),
+    compare: (options) =>
+      runCommand(options, ["comparison"], (allStats) =>
+        displayComparison(allStats.comparison, options)
+      ),
+  });
+
+  try {
+    await program.parseAsync(process.argv);
+  } catch (error) {
+    // Invalid option values, e.g. a malformed --since date
+    console.error(chalk.red("\n❌ Error running Git Wrapped:"));
+    console.error(chalk.red(error.message));
+    process.exit(1);
+  }
+}
+
 /**
  * Display all results in CLI format
  * @param {Object} allStats - All collected statistics
@@ -137,6 +322,16 @@ function displayResults(allStats, options) {
     );
   }
 
+  // Personal wrapped
+  if (allStats.personalStats) {
+    displayPersonalStats(allStats.personalStats, options);
+  }
+
+  // Per-repository breakdown
+  if (allStats.repositories) {
+    displayRepositoryBreakdown(allStats.repositories, options);
+  }
+
   // Contributors
   if (allStats.contributors && allStats.contributors.length > 0) {
     displayContributors(allStats.contributors, options);
@@ -147,6 +342,11 @@ function displayResults(allStats, options) {
     displayCodeStats(allStats.lineStats, allStats.languageStats, options);
   }
 
+  // Language Evolution
+  if (allStats.languageEvolution && !options.minimal) {
+    displayLanguageEvolution(allStats.languageEvolution, options);
+  }
+
   // Commit Frequency
   if (allStats.frequencyStats) {
     displayCommitFrequency(allStats.frequencyStats, options);
@@ -157,21 +357,56 @@ function displayResults(allStats, options) {
     displayTimeAnalysis(allStats.timeStats, options);
   }
 
+  // Punch Card
+  if (allStats.punchCard && !options.minimal) {
+    displayPunchCard(allStats.punchCard, options);
+  }
+
   // Streak Statistics
   if (allStats.streakStats) {
     displayStreakStats(allStats.streakStats, options);
   }
 
+  // Contribution Heatmap
+  if (allStats.streakCalendar) {
+    displayContributionHeatmap(allStats.streakCalendar, options);
+  }
+
   // Commit Size Statistics
   if (allStats.sizeStats && !options.minimal) {
     displayCommitSizeStats(allStats.sizeStats, options);
   }
 
+  // Commit Messages
+  if (allStats.messageStats && !options.minimal) {
+    displayCommitMessages(allStats.messageStats, options);
+  }
+
+  // Pull Requests
+  if (allStats.pullRequestStats && !options.minimal) {
+    displayPullRequests(allStats.pullRequestStats, options);
+  }
+
   // File Churn
   if (allStats.fileChurn && allStats.fileChurn.length > 0 && !options.minimal) {
     displayFileChurn(allStats.fileChurn, options);
   }
 
+  // Hotspots
+  if (allStats.hotspots && !options.minimal) {
+    displayHotspots(allStats.hotspots, options);
+  }
+
+  // Biggest Refactors
+  if (allStats.biggestRefactors && !options.minimal) {
+    displayBiggestRefactors(allStats.biggestRefactors, options);
+  }
+
+  // Ownership and Bus Factor
+  if (allStats.ownershipStats) {
+    displayOwnership(allStats.ownershipStats, options);
+  }
+
   // Branch Statistics
   if (allStats.branchStats && allStats.branchStats.totalBranches > 0) {
     displayBranchStats(allStats.branchStats, options);
@@ -181,56 +416,6 @@ function displayResults(allStats, options) {
   if (!options.minimal) {
     displayFunFacts(allStats, options);
   }
-
-  // Footer
-  displayFooter();
-}
-
-/**
- * Display help information
- */
-function displayHelp() {
-  console.log(
-    chalk.cyan.bold("\nGit Wrapped - Your Repository's Year in Review\n")
-  );
-  console.log(chalk.white("Usage: gitwrapped [options]\n"));
-  console.log(chalk.white("Options:"));
-  console.log(
-    chalk.white(
-      "  --year <YYYY>           Filter statistics by specific year (e.g., --year 2025)"
-    )
-  );
-  console.log(
-    chalk.white("  --all-time              Show all-time statistics (default)")
-  );
-  console.log(
-    chalk.white(
-      "  --current-branch-only   Analyze only the current branch (default: all)"
-    )
-  );
-  console.log(
-    chalk.white("  --no-emoji              Disable emojis in output")
-  );
-  console.log(chalk.white("  --minimal               Show condensed output"));
-  console.log(chalk.white("  --verbose               Show debug information"));
-  console.log(chalk.white("  --help, -h              Show this help message"));
-  console.log(chalk.white("\nExamples:"));
-  console.log(
-    chalk.gray("  gitwrapped                          # All branches (default)")
-  );
-  console.log(
-    chalk.gray(
-      "  gitwrapped --year 2025              # 2025 stats, all branches"
-    )
-  );
-  console.log(
-    chalk.gray("  gitwrapped --current-branch-only    # Only current branch")
-  );
-  console.log(
-    chalk.gray("  gitwrapped --minimal                # Condensed output")
-  );
-  console.log(chalk.gray("  gitwrapped --year 2024 --no-emoji"));
-  console.log();
 }
 
 // Run the main function
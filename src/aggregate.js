@@ -0,0 +1,112 @@
+import { buildLanguageStats } from "./languages.js";
+
+/**
+ * Combine the line statistics of several repositories
+ * @param {Array} results - `{ repository, stats }` from getLineStats, one
+ *   per repository
+ * @returns {Object} - Line statistics
+ */
+export function mergeLineStats(results) {
+  if (results.length === 1) return results[0].stats;
+
+  const largestFiles = results
+    .flatMap(({ repository, stats }) =>
+      stats.largestFiles.map(({ lines, file }) => ({
+        lines,
+        file: `${repository.name}/${file}`,
+      }))
+    )
+    .sort((a, b) => b.lines - a.lines)
+    .slice(0, 10);
+
+  return {
+    totalLOC: results.reduce((sum, { stats }) => sum + stats.totalLOC, 0),
+    largestFiles,
+  };
+}
+
+/**
+ * Combine the language statistics of several repositories
+ * @param {Array} results - `{ repository, stats }` from getLanguageStats, one
+ *   per repository
+ * @returns {Object} - Language statistics
+ */
+export function mergeLanguageStats(results) {
+  if (results.length === 1) return results[0].stats;
+
+  const totals = {};
+  const excluded = { vendored: 0, generated: 0, binary: 0, unknown: 0 };
+  results.forEach(({ stats }) => {
+    stats.languages.forEach(({ language, files, code, comment, blank }) => {
+      const total = totals[language] || {
+        files: 0,
+        code: 0,
+        comment: 0,
+        blank: 0,
+      };
+      total.files += files;
+      total.code += code;
+      total.comment += comment;
+      total.blank += blank;
+      totals[language] = total;
+    });
+    Object.keys(excluded).forEach((reason) => {
+      excluded[reason] += stats.excluded[reason];
+    });
+  });
+
+  return buildLanguageStats(totals, excluded);
+}
+
+/**
+ * Get the per-repository breakdown of the combined history
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Array} - One row per repository, busiest first
+ */
+export function getRepositoryBreakdown(history) {
+  const rows = new Map(
+    history.repositories.map((repository) => [
+      repository.name,
+      {
+        name: repository.name,
+        path: repository.path,
+        commits: 0,
+        additions: 0,
+        deletions: 0,
+        authors: new Map(),
+        days: new Set(),
+      },
+    ])
+  );
+
+  history.commits.forEach((commit) => {
+    const row = rows.get(commit.repository);
+    row.commits++;
+    row.additions += commit.insertions;
+    row.deletions += commit.deletions;
+    row.days.add(commit.day);
+    const author = row.authors.get(commit.authorKey) || {
+      name: commit.authorName,
+      isBot: commit.isBot,
+      commits: 0,
+    };
+    author.commits++;
+    row.authors.set(commit.authorKey, author);
+  });
+
+  return [...rows.values()]
+    .map(({ authors, days, ...row }) => {
+      const sortedDays = [...days].sort();
+      const humans = [...authors.values()].filter((author) => !author.isBot);
+      const top = humans.sort((a, b) => b.commits - a.commits)[0];
+      return {
+        ...row,
+        contributors: authors.size,
+        activeDays: days.size,
+        firstCommitDate: sortedDays[0] || null,
+        lastCommitDate: sortedDays[sortedDays.length - 1] || null,
+        topContributor: top ? top.name : null,
+      };
+    })
+    .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name));
+}
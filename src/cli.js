@@ -0,0 +1,395 @@
+import { readFileSync } from "fs";
+import { Argument, Command, Option } from "commander";
+import { isValidTimeZone, resolveDateRange } from "./utils.js";
+import { generateCompletion } from "./completion.js";
+
+export const SORT_KEYS = [
+  "commits",
+  "additions",
+  "deletions",
+  "net",
+  "files",
+  "active-days",
+];
+
+/**
+ * Read the package version for --version
+ * @returns {string} - The gitwrapped version
+ */
+function getPackageVersion() {
+  const pkg = JSON.parse(
+    readFileSync(new URL("../package.json", import.meta.url), "utf8")
+  );
+  return pkg.version;
+}
+
+/**
+ * Add the date range options
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addDateOptions(command) {
+  return command
+    .option("--year <YYYY>", "filter statistics by year (e.g. 2025)")
+    .option(
+      "--since <YYYY-MM-DD>",
+      "only include commits on or after this date"
+    )
+    .option(
+      "--until <YYYY-MM-DD>",
+      "only include commits on or before this date"
+    )
+    .option(
+      "--last <period...>",
+      'only include a recent period (e.g. "30 days", "2w", "6 months")'
+    )
+    .option("--quarter <YYYYQN>", "filter by quarter (e.g. 2025Q3)")
+    .option("--month <YYYY-MM>", "filter by month (e.g. 2025-06)")
+    .option("--all-time", "show all-time statistics (default)");
+}
+
+/**
+ * Add the time zone option used for hours, weekdays and days
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addTimeZoneOption(command) {
+  return command.option(
+    "--tz <zone>",
+    'time zone for hours and days: "author" (each commit\'s own offset), "local" or an IANA zone such as Europe/Berlin',
+    "author"
+  );
+}
+
+/**
+ * Add the options that choose which commits are analyzed
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addScopeOptions(command) {
+  return command
+    .option(
+      "--repo <paths...>",
+      "analyze the repositories at these paths (default: current directory)"
+    )
+    .option(
+      "--scan <dir>",
+      "analyze every git repository found in this directory"
+    )
+    .option(
+      "--current-branch-only",
+      "analyze only the current branch (default: all branches)"
+    )
+    .addOption(
+      new Option(
+        "--author <name|email>",
+        "only analyze one person's commits (a personal wrapped)"
+      ).conflicts("me")
+    )
+    .addOption(
+      new Option(
+        "--me",
+        "only analyze your own commits (from git config user.email)"
+      ).conflicts("author")
+    )
+    .addOption(
+      new Option("--exclude-bots", "leave out commits made by bots").conflicts(
+        "onlyBots"
+      )
+    )
+    .addOption(
+      new Option("--only-bots", "only analyze commits made by bots").conflicts(
+        "excludeBots"
+      )
+    );
+}
+
+/**
+ * Add the output options shared by every report
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addOutputOptions(command) {
+  return command
+    .addOption(
+      new Option("--format <format>", "output format")
+        .choices(["text", "json"])
+        .default("text")
+    )
+    .option(
+      "--output <file>",
+      "write the JSON report to a file instead of stdout"
+    )
+    .option("--no-emoji", "disable emojis in output")
+    .option("--minimal", "show condensed output")
+    .option("--verbose", "show debug information");
+}
+
+/**
+ * Add the contributor ranking option
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addSortOption(command) {
+  return command.addOption(
+    new Option("--sort-by <key>", "rank contributors by")
+      .choices(SORT_KEYS)
+      .default("commits")
+  );
+}
+
+/**
+ * Add the options that leave outlier commits out of the commit size
+ * statistics
+ * @param {Command} command - The command to configure
+ * @returns {Command} - The command
+ */
+function addCommitSizeOptions(command) {
+  return command
+    .option(
+      "--max-commit-size <lines>",
+      "leave commits changing more lines out of the commit size statistics"
+    )
+    .option(
+      "--exclude-generated-commits",
+      "leave commits that only touch generated or vendored files out of the commit size statistics"
+    );
+}
+
+/**
+ * Convert parsed commander options into the options used by the collectors
+ * @param {Object} opts - Options parsed by commander
+ * @returns {Object} - Run options
+ */
+export function toRunOptions(opts) {
+  if (opts.output && opts.format !== "json") {
+    throw new Error("--output can only be used with --format json.");
+  }
+
+  const dateRange = resolveDateRange({
+    year: opts.year,
+    since: opts.since,
+    until: opts.until,
+    last: opts.last && opts.last.join(" "),
+    quarter: opts.quarter,
+    month: opts.month,
+  });
+
+  const tz = opts.tz || "author";
+  if (!isValidTimeZone(tz)) {
+    throw new Error(
+      `Invalid --tz "${tz}". Expected author, local or an IANA time zone such as Europe/Berlin.`
+    );
+  }
+
+  // Revisions are passed to git, so only allow the characters of ref names
+  // and revision suffixes such as HEAD~3 or main@{1}
+  if (opts.at !== undefined && !/^[\w./@{}~^-]+$/.test(opts.at)) {
+    throw new Error(
+      `Invalid --at "${opts.at}". Expected a branch, tag or commit.`
+    );
+  }
+
+  let maxCommitSize = null;
+  if (opts.maxCommitSize !== undefined) {
+    maxCommitSize = Number(opts.maxCommitSize);
+    if (!Number.isInteger(maxCommitSize) || maxCommitSize < 1) {
+      throw new Error(
+        `Invalid --max-commit-size "${opts.maxCommitSize}". Expected a number of lines.`
+      );
+    }
+  }
+
+  let bots = "include";
+  if (opts.excludeBots) bots = "exclude";
+  if (opts.onlyBots) bots = "only";
+
+  return {
+    verbose: Boolean(opts.verbose),
+    repos: opts.repo || [],
+    scan: opts.scan || null,
+    ...dateRange,
+    allTime: Boolean(opts.allTime),
+    noEmoji: opts.emoji === false,
+    minimal: Boolean(opts.minimal),
+    allBranches: !opts.currentBranchOnly,
+    format: opts.format,
+    output: opts.output || null,
+    html: opts.html || null,
+    sortBy: opts.sortBy || "commits",
+    bots,
+    author: opts.author || null,
+    me: Boolean(opts.me),
+    perAuthor: Boolean(opts.perAuthor),
+    at: opts.at || null,
+    maxCommitSize,
+    excludeGeneratedCommits: Boolean(opts.excludeGeneratedCommits),
+    tz,
+  };
+}
+
+/**
+ * Resolve the two periods given to the compare command
+ * @param {Object} opts - Options parsed by commander
+ * @returns {Array} - Two `{ label, since, until }` periods, earliest first
+ */
+export function toComparePeriods(opts) {
+  const periods = [
+    ...(opts.year || []).map((year) => ({ label: year, range: { year } })),
+    ...(opts.quarter || []).map((quarter) => ({
+      label: quarter.toUpperCase(),
+      range: { quarter },
+    })),
+    ...(opts.month || []).map((month) => ({ label: month, range: { month } })),
+    ...(opts.range || []).map((range) => {
+      const match = /^(.+)\.\.(.+)$/.exec(range);
+      if (!match) {
+        throw new Error(
+          `Invalid --range "${range}". Expected YYYY-MM-DD..YYYY-MM-DD.`
+        );
+      }
+      return { label: range, range: { since: match[1], until: match[2] } };
+    }),
+  ];
+
+  if (periods.length !== 2) {
+    throw new Error(
+      "compare needs exactly two periods, e.g. --year 2024 --year 2025."
+    );
+  }
+
+  return periods
+    .map(({ label, range }) => {
+      const { year, since, until } = resolveDateRange(range);
+      return year
+        ? { label, since: `${year}-01-01`, until: `${year}-12-31` }
+        : { label, since, until };
+    })
+    .sort((a, b) => a.since.localeCompare(b.since));
+}
+
+/**
+ * Create the command line interface
+ * @param {Object} handlers - Async handlers for each command, called with
+ *   the run options (report, contributors, streaks, punchcard, ownership,
+ *   branches, compare)
+ * @returns {Command} - The commander program
+ */
+export function createProgram(handlers) {
+  const program = new Command("gitwrapped")
+    .description("Git Wrapped - Your Repository's Year in Review")
+    .version(getPackageVersion(), "-v, --version")
+    .showSuggestionAfterError()
+    .addHelpText(
+      "after",
+      `
+Examples:
+  gitwrapped                               # Full report, all branches
+  gitwrapped --year 2025                   # 2025 stats, all branches
+  gitwrapped --quarter 2025Q3              # Quarterly review
+  gitwrapped --repo ~/code/my-project      # Analyze another repository
+  gitwrapped --scan ~/code/services        # Combined report of many repos
+  gitwrapped --me --year 2025              # Your personal wrapped
+  gitwrapped --tz Europe/Berlin            # Hours and days in one time zone
+  gitwrapped contributors --sort-by net    # Contributor leaderboard
+  gitwrapped compare --year 2024 --year 2025  # Year over year
+  gitwrapped streaks --last 6 months       # Streaks and heatmap
+  gitwrapped punchcard --per-author        # Commits by hour and weekday
+  gitwrapped ownership                     # Knowledge risk per directory
+  gitwrapped --max-commit-size 2000        # Sizes without huge imports
+  gitwrapped --at v1.0.0                   # Lines of code at a release
+  gitwrapped --format json --output stats.json
+  gitwrapped completion bash >> ~/.bashrc  # Shell completion`
+    );
+
+  const report = program
+    .command("report", { isDefault: true })
+    .description("show the full wrapped report (default)");
+  addOutputOptions(
+    addCommitSizeOptions(
+      addSortOption(addScopeOptions(addTimeZoneOption(addDateOptions(report))))
+    )
+  )
+    .option(
+      "--at <ref>",
+      "count lines of code, languages and ownership at this branch, tag or commit (default: HEAD)"
+    )
+    .option("--html <file>", "save a shareable HTML Wrapped report to a file")
+    .action((opts) => handlers.report(toRunOptions(opts)));
+
+  const contributors = program
+    .command("contributors")
+    .description("rank contributors by commits and line impact");
+  addOutputOptions(
+    addSortOption(
+      addScopeOptions(addTimeZoneOption(addDateOptions(contributors)))
+    )
+  ).action((opts) => handlers.contributors(toRunOptions(opts)));
+
+  const streaks = program
+    .command("streaks")
+    .description("show commit streaks and the contribution heatmap");
+  addOutputOptions(
+    addScopeOptions(addTimeZoneOption(addDateOptions(streaks)))
+  ).action((opts) => handlers.streaks(toRunOptions(opts)));
+
+  const punchcard = program
+    .command("punchcard")
+    .description("show commits by hour and weekday")
+    .option("--per-author", "add a punch card for each top contributor");
+  addOutputOptions(
+    addScopeOptions(addTimeZoneOption(addDateOptions(punchcard)))
+  ).action((opts) => handlers.punchcard(toRunOptions(opts)));
+
+  const ownership = program
+    .command("ownership")
+    .description("show who owns each directory and the bus factor");
+  addOutputOptions(addScopeOptions(addDateOptions(ownership))).action((opts) =>
+    handlers.ownership(toRunOptions(opts))
+  );
+
+  const branches = program
+    .command("branches")
+    .description("show the most active branches");
+  addOutputOptions(
+    addScopeOptions(addTimeZoneOption(addDateOptions(branches)))
+  ).action((opts) => handlers.branches(toRunOptions(opts)));
+
+  const compare = program
+    .command("compare")
+    .description("compare two periods, e.g. one year against the next")
+    .option("--year <YYYY...>", "compare years (give two)")
+    .option("--quarter <YYYYQN...>", "compare quarters (give two)")
+    .option("--month <YYYY-MM...>", "compare months (give two)")
+    .option(
+      "--range <YYYY-MM-DD..YYYY-MM-DD...>",
+      "compare custom date ranges (give two)"
+    );
+  addOutputOptions(addScopeOptions(addTimeZoneOption(compare))).action(
+    (opts) => {
+      const periods = toComparePeriods(opts);
+      return handlers.compare({
+        ...toRunOptions({ ...opts, year: null, quarter: null, month: null }),
+        since: periods[0].since,
+        until: periods.reduce(
+          (latest, { until }) => (until > latest ? until : latest),
+          periods[0].until
+        ),
+        periods,
+      });
+    }
+  );
+
+  program
+    .command("completion")
+    .description("print a shell completion script")
+    .addArgument(new Argument("<shell>").choices(["bash", "zsh", "fish"]))
+    .action((shell) => {
+      process.stdout.write(generateCompletion(program, shell));
+    });
+
+  // Reject typos such as --yaer instead of silently ignoring them
+  program.commands.forEach((command) => command.allowExcessArguments(false));
+
+  return program;
+}
@@ -0,0 +1,169 @@
+import { getTimeBasedStats, getTouchedLanguageStats } from "./stats.js";
+import { getStreakStats } from "./streaks.js";
+
+/**
+ * Restrict a history model to the commits made within a period
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} period - `{ since, until }` as inclusive YYYY-MM-DD days
+ * @returns {Object} - Commit history model for the period
+ */
+function slicePeriod(history, period) {
+  const inPeriod = (commit) =>
+    commit.day >= period.since && commit.day <= period.until;
+  return {
+    ...history,
+    commits: history.commits.filter(inPeriod),
+    allCommits: history.allCommits.filter(inPeriod),
+    repoCommits: history.repoCommits.filter(inPeriod),
+  };
+}
+
+/**
+ * Summarize one period with the existing collectors
+ * @param {Object} history - Commit history for the period
+ * @returns {Object} - Period summary
+ */
+function summarizePeriod(history) {
+  const authors = new Map();
+  history.commits.forEach((commit) =>
+    authors.set(commit.authorKey, commit.authorName)
+  );
+
+  // Averages stay unrounded so the change between periods is exact; merge
+  // commits carry no numstat and are left out, as in the size statistics
+  const changed = history.commits.filter((commit) => commit.files.length > 0);
+  const average = (value) =>
+    changed.length > 0
+      ? changed.reduce((sum, commit) => sum + value(commit), 0) / changed.length
+      : 0;
+
+  const time = getTimeBasedStats(history);
+  const streaks = getStreakStats(history);
+  const languages = getTouchedLanguageStats(history);
+
+  const languageShares = new Map(
+    languages.languages
+      .filter(({ share }) => share > 0)
+      .map(({ language, share }) => [language, share])
+  );
+
+  return {
+    commits: history.commits.length,
+    authors,
+    avgCommitSize: average((commit) => commit.insertions + commit.deletions),
+    avgFilesChanged: average((commit) => commit.files.length),
+    mostActiveHour:
+      history.commits.length > 0 ? time.mostActiveHour.hour : null,
+    longestStreak: streaks.longestStreak,
+    activeDays: streaks.totalActiveDays,
+    languageShares,
+  };
+}
+
+/**
+ * Describe the change of a metric between two periods
+ * @param {number} before - Value in the earlier period
+ * @param {number} after - Value in the later period
+ * @returns {Object} - `{ before, after, change, percent }`, computed from
+ *   the exact values and rounded to two decimals; percent is null when the
+ *   earlier value is 0
+ */
+function describeChange(before, after) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const change = after - before;
+  return {
+    before: round(before),
+    after: round(after),
+    change: round(change),
+    percent: before !== 0 ? round((change / before) * 100) : null,
+  };
+}
+
+/**
+ * Get the shift in hours between two hours of the day, taking the shorter
+ * way around the clock
+ * @param {number|null} before - Earlier most active hour
+ * @param {number|null} after - Later most active hour
+ * @returns {number|null} - Shift in hours (-11 to 12), negative when earlier
+ */
+function getHourShift(before, after) {
+  if (before === null || after === null) return null;
+  const shift = (((after - before) % 24) + 24) % 24;
+  return shift > 12 ? shift - 24 : shift;
+}
+
+/**
+ * Compare two periods of the same history
+ * @param {Object} history - Commit history covering both periods
+ * @param {Array} periods - Two `{ label, since, until }` periods, earliest
+ *   first
+ * @returns {Object} - Comparison of the later period against the earlier
+ */
+export function getComparison(history, periods) {
+  const [before, after] = periods.map((period) =>
+    summarizePeriod(slicePeriod(history, period))
+  );
+
+  const namesOf = (keys, summary) =>
+    keys.map((key) => summary.authors.get(key)).sort();
+  const beforeKeys = [...before.authors.keys()];
+  const afterKeys = [...after.authors.keys()];
+
+  // Languages with the biggest share in either period
+  const languages = [
+    ...new Set([
+      ...before.languageShares.keys(),
+      ...after.languageShares.keys(),
+    ]),
+  ]
+    .map((language) => ({
+      language,
+      ...describeChange(
+        before.languageShares.get(language) || 0,
+        after.languageShares.get(language) || 0
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        Math.max(b.before, b.after) - Math.max(a.before, a.after) ||
+        a.language.localeCompare(b.language)
+    )
+    .slice(0, 8);
+
+  return {
+    periods: periods.map(({ label, since, until }) => ({
+      label,
+      since,
+      until,
+    })),
+    commits: describeChange(before.commits, after.commits),
+    contributors: {
+      ...describeChange(before.authors.size, after.authors.size),
+      new: namesOf(
+        afterKeys.filter((key) => !before.authors.has(key)),
+        after
+      ),
+      returning: namesOf(
+        afterKeys.filter((key) => before.authors.has(key)),
+        after
+      ),
+      departed: namesOf(
+        beforeKeys.filter((key) => !after.authors.has(key)),
+        before
+      ),
+    },
+    avgCommitSize: describeChange(before.avgCommitSize, after.avgCommitSize),
+    avgFilesChanged: describeChange(
+      before.avgFilesChanged,
+      after.avgFilesChanged
+    ),
+    mostActiveHour: {
+      before: before.mostActiveHour,
+      after: after.mostActiveHour,
+      shift: getHourShift(before.mostActiveHour, after.mostActiveHour),
+    },
+    longestStreak: describeChange(before.longestStreak, after.longestStreak),
+    activeDays: describeChange(before.activeDays, after.activeDays),
+    languages,
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Describe the commands and flags of the program for completion scripts
+ * @param {Command} program - The commander program
+ * @param {string} defaultCommand - Name of the command run without one
+ * @returns {Array} - Commands with their flags
+ */
+function describeCommands(program, defaultCommand) {
+  const help = program.createHelp();
+  return help.visibleCommands(program).map((command) => ({
+    name: command.name(),
+    description: command.description(),
+    isDefault: command.name() === defaultCommand,
+    options: help.visibleOptions(command).map((option) => ({
+      long: option.long,
+      short: option.short,
+      description: option.description,
+      takesValue: option.required || option.optional,
+      choices: option.argChoices || [],
+    })),
+    argumentChoices: command.registeredArguments.flatMap(
+      (argument) => argument.argChoices || []
+    ),
+  }));
+}
+
+/**
+ * Escape a string for a single-quoted shell word
+ * @param {string} value - The string to quote
+ * @returns {string} - The quoted string
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Generate a bash completion script
+ * @param {Array} commands - Commands from describeCommands
+ * @returns {string} - The script
+ */
+function generateBash(commands) {
+  const defaultCommand = commands.find((command) => command.isDefault);
+  const flags = (command) =>
+    command.options.flatMap((option) =>
+      [option.long, option.short].filter(Boolean)
+    );
+
+  const names = commands.map((command) => command.name);
+
+  // Complete the value of flags with a fixed set of choices
+  const choicesByFlag = new Map();
+  commands.forEach((command) =>
+    command.options
+      .filter((option) => option.choices.length > 0)
+      .forEach((option) => choicesByFlag.set(option.long, option.choices))
+  );
+  const valueCases = [...choicesByFlag].map(
+    ([flag, choices]) =>
+      `    ${flag}) COMPREPLY=($(compgen -W "${choices.join(
+        " "
+      )}" -- "$cur")); return ;;`
+  );
+
+  const commandCases = commands.map((command) => {
+    const words = [...flags(command), ...command.argumentChoices].join(" ");
+    return `    ${command.name}) COMPREPLY=($(compgen -W "${words}" -- "$cur")) ;;`;
+  });
+
+  return `# gitwrapped bash completion
+_gitwrapped() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  local commands="${names.join(" ")}"
+
+  case "$prev" in
+${valueCases.join("\n")}
+  esac
+
+  local command=""
+  local word
+  for word in "\${COMP_WORDS[@]:1:COMP_CWORD-1}"; do
+    case "$word" in
+      ${names.join("|")}) command="$word"; break ;;
+    esac
+  done
+
+  case "$command" in
+${commandCases.join("\n")}
+    *) COMPREPLY=($(compgen -W "$commands ${
+      defaultCommand ? flags(defaultCommand).join(" ") : ""
+    } --version" -- "$cur")) ;;
+  esac
+}
+complete -o default -F _gitwrapped gitwrapped
+`;
+}
+
+/**
+ * Generate a zsh completion script (bash completion through bashcompinit)
+ * @param {Array} commands - Commands from describeCommands
+ * @returns {string} - The script
+ */
+function generateZsh(commands) {
+  return `# gitwrapped zsh completion
+autoload -U +X compinit && compinit
+autoload -U +X bashcompinit && bashcompinit
+${generateBash(commands).replace("# gitwrapped bash completion\n", "")}`;
+}
+
+/**
+ * Generate a fish completion script
+ * @param {Array} commands - Commands from describeCommands
+ * @returns {string} - The script
+ */
+function generateFish(commands) {
+  const names = commands.map((command) => command.name).join(" ");
+  const lines = ["# gitwrapped fish completion", "complete -c gitwrapped -f"];
+
+  commands.forEach((command) => {
+    lines.push(
+      `complete -c gitwrapped -n "not __fish_seen_subcommand_from ${names}" -a ${
+        command.name
+      } -d ${shellQuote(command.description)}`
+    );
+
+    // Options of the default command also apply without a subcommand
+    const condition = command.isDefault
+      ? `not __fish_seen_subcommand_from ${names}; or __fish_seen_subcommand_from ${command.name}`
+      : `__fish_seen_subcommand_from ${command.name}`;
+
+    command.options.forEach((option) => {
+      const parts = [`complete -c gitwrapped -n "${condition}"`];
+      if (option.long) parts.push(`-l ${option.long.replace(/^--/, "")}`);
+      if (option.short) parts.push(`-s ${option.short.replace(/^-/, "")}`);
+      if (option.takesValue) parts.push("-r");
+      if (option.choices.length > 0) {
+        parts.push(`-a ${shellQuote(option.choices.join(" "))}`);
+      }
+      parts.push(`-d ${shellQuote(option.description)}`);
+      lines.push(parts.join(" "));
+    });
+
+    if (command.argumentChoices.length > 0) {
+      lines.push(
+        `complete -c gitwrapped -n "__fish_seen_subcommand_from ${
+          command.name
+        }" -a ${shellQuote(command.argumentChoices.join(" "))}`
+      );
+    }
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Generate a shell completion script from the program definition
+ * @param {Command} program - The commander program
+ * @param {string} shell - bash, zsh or fish
+ * @param {string} defaultCommand - Name of the command run without one
+ * @returns {string} - The completion script
+ */
+export function generateCompletion(program, shell, defaultCommand = "report") {
+  const commands = describeCommands(program, defaultCommand);
+  if (shell === "zsh") return generateZsh(commands);
+  if (shell === "fish") return generateFish(commands);
+  return generateBash(commands);
+}
@@ -1,6 +1,7 @@
 import chalk from "chalk";
 import boxen from "boxen";
 import gradient from "gradient-string";
+import asciichart from "asciichart";
 import ora from "ora";
 import { formatDate, formatDuration } from "./utils.js";
 
@@ -100,6 +101,15 @@ export function displayTimeline(firstCommitDate, lastCommitDate, options = {}) {
   );
 }
 
+/**
+ * Format a signed line count, e.g. "+120" or "-4"
+ * @param {number} lines - Line count
+ * @returns {string} - Signed line count
+ */
+function formatSignedLines(lines) {
+  return `${lines >= 0 ? "+" : "-"}${Math.abs(lines).toLocaleString()}`;
+}
+
 /**
  * Display contributor statistics
  * @param {Array} contributors - Array of contributor stats
@@ -108,13 +118,118 @@ export function displayTimeline(firstCommitDate, lastCommitDate, options = {}) {
 export function displayContributors(contributors, options = {}) {
   displaySection("CONTRIBUTOR STATISTICS", "", options);
 
-  contributors.forEach(({ name, commits }, index) => {
+  if (options.sortBy && options.sortBy !== "commits") {
+    console.log(chalk.gray(`Sorted by ${options.sortBy}\n`));
+  }
+
+  contributors.forEach((contributor, index) => {
+    const { commits, additions, deletions, net } = contributor;
     const displayRank = `${index + 1}.`;
+    const name =
+      contributor.isBot && !contributor.name.includes("[bot]")
+        ? `${contributor.name} (bot)`
+        : contributor.name;
+    const lineImpact =
+      additions === undefined
+        ? ""
+        : `  ${chalk.green("+" + additions.toLocaleString())} ${chalk.red(
+            "-" + deletions.toLocaleString()
+          )} ${chalk.gray(`(net ${formatSignedLines(net)})`)}`;
     console.log(
       chalk.white(
-        `${displayRank} ${name.padEnd(30)} ${chalk.cyan(commits + " commits")}`
+        `${displayRank} ${name.padEnd(30)} ${chalk.cyan(
+          commits + " commits"
+        )}${lineImpact}`
       )
     );
+
+    if (!options.minimal && contributor.activeDays) {
+      console.log(
+        chalk.gray(
+          `   ${contributor.filesTouched} files touched, ${contributor.activeDays} active days (${contributor.firstCommitDate} to ${contributor.lastCommitDate})`
+        )
+      );
+    }
+  });
+}
+
+/**
+ * Display how a person compares with everyone in a personal report
+ * @param {Object} personalStats - Personal statistics
+ * @param {Object} options - Display options
+ */
+export function displayPersonalStats(personalStats, options = {}) {
+  if (!personalStats) return;
+
+  const scope =
+    options.repositories && options.repositories.length > 1
+      ? "these repositories'"
+      : "this repo's";
+
+  displaySection(`${personalStats.name.toUpperCase()}'S WRAPPED`, "", options);
+
+  console.log(
+    chalk.white(
+      `You made ${chalk.cyan(
+        `${personalStats.commitShare.toFixed(0)}%`
+      )} of ${scope} commits (${personalStats.commits} of ${
+        personalStats.totalCommits
+      })`
+    )
+  );
+  console.log(
+    chalk.white(
+      `You added ${chalk.cyan(
+        `${personalStats.additionsShare.toFixed(0)}%`
+      )} of the lines (${personalStats.additions.toLocaleString()} of ${personalStats.totalAdditions.toLocaleString()})`
+    )
+  );
+  console.log(
+    chalk.white(
+      `Rank: ${chalk.cyan(`#${personalStats.rank}`)} of ${
+        personalStats.totalContributors
+      } contributors by commits`
+    )
+  );
+}
+
+/**
+ * Display the per-repository breakdown of a multi-repository report
+ * @param {Array} repositories - Rows from getRepositoryBreakdown
+ * @param {Object} options - Display options
+ */
+export function displayRepositoryBreakdown(repositories, options = {}) {
+  if (!repositories || repositories.length < 2) return;
+
+  displaySection("REPOSITORIES", "", options);
+
+  console.log(
+    chalk.gray(
+      `  ${"Repository".padEnd(24)} ${"Commits".padStart(
+        8
+      )} ${"People".padStart(6)} ${"Lines".padStart(16)} ${"Active".padStart(
+        7
+      )}  Last commit`
+    )
+  );
+  repositories.forEach((repository) => {
+    const lines = `+${repository.additions} -${repository.deletions}`;
+    console.log(
+      chalk.white(
+        `  ${repository.name.padEnd(24)} ${chalk.cyan(
+          String(repository.commits).padStart(8)
+        )} ${String(repository.contributors).padStart(6)} ${lines.padStart(
+          16
+        )} ${`${repository.activeDays}d`.padStart(7)}  ${
+          repository.lastCommitDate || "-"
+        }`
+      )
+    );
+    if (!options.minimal && repository.topContributor) {
+      console.log(
+        chalk.gray(`    Top contributor: ${repository.topContributor}`)
+      );
+    }
   });
 }
 
@@ -129,22 +244,65 @@ export function displayCodeStats(lineStats, languageStats, options = {}) {
 
   console.log(
     chalk.white(
-      `Total Lines of Code: ${chalk.cyan(lineStats.totalLOC.toLocaleString())}`
+      `Total Lines of Code: ${chalk.cyan(lineStats.totalLOC.toLocaleString())}${
+        options.at ? chalk.gray(` (at ${options.at})`) : ""
+      }`
     )
   );
 
   if (languageStats && languageStats.languages.length > 0) {
-    console.log(chalk.white("\nTop Languages:"));
-    languageStats.languages.slice(0, 5).forEach(({ language, count }) => {
-      const percentage = ((count / languageStats.totalFiles) * 100).toFixed(1);
+    // In a personal report the lines are the lines the person added
+    const counted = languageStats.languages.filter(({ share }) => share > 0);
+    console.log(
+      chalk.white(
+        options.author
+          ? "\nTop Languages (by lines added):"
+          : "\nTop Languages (by lines of code):"
+      )
+    );
+    counted.slice(0, 5).forEach((language) => {
       console.log(
         chalk.white(
-          `  ${language.padEnd(20)} ${chalk.cyan(
-            count + " files"
-          )} (${percentage}%)`
+          `  ${language.language.padEnd(20)} ${chalk.cyan(
+            `${language.code.toLocaleString()} lines`
+          )} (${language.share.toFixed(1)}%)`
         )
       );
+      if (!options.minimal && !options.author) {
+        console.log(
+          chalk.gray(
+            `    ${
+              language.files
+            } files, ${language.comment.toLocaleString()} comment and ${language.blank.toLocaleString()} blank lines`
+          )
+        );
+      }
     });
+
+    const uncounted = languageStats.languages.filter(
+      ({ share }) => share === 0
+    );
+    const { excluded } = languageStats;
+    if (!options.minimal && uncounted.length > 0) {
+      const lines = uncounted.reduce(
+        (sum, language) => sum + language.lines,
+        0
+      );
+      console.log(
+        chalk.gray(
+          `  Not in the share: ${lines.toLocaleString()} lines of data and docs (${uncounted
+            .slice(0, 4)
+            .map(({ language }) => language)
+            .join(", ")}${uncounted.length > 4 ? ", ..." : ""})`
+        )
+      );
+    }
+    const skipped = ["vendored", "generated", "binary"]
+      .filter((reason) => excluded[reason] > 0)
+      .map((reason) => `${excluded[reason]} ${reason}`);
+    if (!options.minimal && skipped.length > 0) {
+      console.log(chalk.gray(`  Skipped files: ${skipped.join(", ")}`));
+    }
   }
 
   if (lineStats.largestFiles.length > 0) {
@@ -161,6 +319,152 @@ export function displayCodeStats(lineStats, languageStats, options = {}) {
   }
 }
 
+// Colors of the language evolution chart, as asciichart and chalk colors
+const EVOLUTION_COLORS = [
+  [asciichart.blue, chalk.blue],
+  [asciichart.green, chalk.green],
+  [asciichart.yellow, chalk.yellow],
+  [asciichart.magenta, chalk.magenta],
+  [asciichart.cyan, chalk.cyan],
+  [asciichart.lightgray, chalk.gray],
+];
+
+/**
+ * Get the number of columns available for a terminal chart
+ * @returns {number} - Chart width
+ */
+function getChartWidth() {
+  return Math.max(20, Math.min(72, (process.stdout.columns || 80) - 12));
+}
+
+/**
+ * Fit a time series to the chart width by repeating each point when there
+ * are few of them and sampling evenly when there are too many
+ * @param {Array<number>} values - One value per period
+ * @param {number} width - Number of chart columns
+ * @returns {Array<number>} - One value per column
+ */
+function fitToWidth(values, width) {
+  const step = Math.max(1, Math.floor(width / values.length));
+  const columns = Math.min(width, values.length * step);
+  return Array.from(
+    { length: columns },
+    (_, column) => values[Math.floor((column * values.length) / columns)]
+  );
+}
+
+/**
+ * Display the first and last period under a chart
+ * @param {string} first - Label of the first period
+ * @param {string} last - Label of the last period
+ * @param {number} columns - Number of chart columns
+ */
+function displayChartAxis(first, last, columns) {
+  console.log(
+    chalk.gray(
+      `${" ".repeat(7)}${first}${last.padStart(
+        Math.max(columns - first.length + 1, last.length + 1)
+      )}`
+    )
+  );
+}
+
+/**
+ * Display how the language mix evolved month by month as a stacked chart
+ * @param {Object} evolution - Evolution from getLanguageEvolution
+ * @param {Object} options - Display options
+ */
+export function displayLanguageEvolution(evolution, options = {}) {
+  const { months, languages } = evolution;
+
+  // Months without code changes have no mix to chart
+  const active = months
+    .map((month, index) => index)
+    .filter((index) => languages.some(({ lines }) => lines[index] > 0));
+  if (active.length < 2) return;
+
+  displaySection("LANGUAGE EVOLUTION", "", options);
+
+  const first = months[active[0]];
+  const last = months[active[active.length - 1]];
+  console.log(
+    chalk.white(`Share of changed lines per month, ${first} to ${last}\n`)
+  );
+
+  // Each line marks the top of a language's band, stacked bottom to top
+  const width = getChartWidth();
+  const series = languages.map((_, index) =>
+    fitToWidth(
+      active.map((monthIndex) =>
+        languages
+          .slice(0, index + 1)
+          .reduce((sum, { shares }) => sum + shares[monthIndex], 0)
+      ),
+      width
+    )
+  );
+  console.log(
+    asciichart.plot(series, {
+      min: 0,
+      max: 100,
+      height: 10,
+      colors: languages.map(
+        (_, index) => EVOLUTION_COLORS[index % EVOLUTION_COLORS.length][0]
+      ),
+      format: (value) => `${Math.round(value)}%`.padStart(6),
+    })
+  );
+  displayChartAxis(first, last, series[0].length);
+
+  const legend = languages
+    .map(
+      ({ language }, index) =>
+        `${EVOLUTION_COLORS[index % EVOLUTION_COLORS.length][1](
+          "━━"
+        )} ${language}`
+    )
+    .join("  ");
+  console.log(`\n  ${legend}`);
+
+  const quiet = months.length - active.length;
+  if (quiet > 0) {
+    console.log(
+      chalk.gray(
+        `  ${quiet} ${
+          quiet === 1 ? "month" : "months"
+        } without code changes left out`
+      )
+    );
+  }
+
+  // The biggest shift between the first and last months with changes
+  const from = active[0];
+  const to = active[active.length - 1];
+  const [shift] = languages
+    .filter(({ language }) => language !== "Other")
+    .map(({ language, shares }) => ({
+      language,
+      before: shares[from],
+      after: shares[to],
+    }))
+    .sort(
+      (a, b) =>
+        Math.abs(b.after - b.before) - Math.abs(a.after - a.before) ||
+        a.language.localeCompare(b.language)
+    );
+  if (shift && shift.before !== shift.after) {
+    console.log(
+      chalk.white(
+        `\n  ${chalk.cyan(shift.language)} went from ${chalk.cyan(
+          `${shift.before.toFixed(1)}%`
+        )} in ${first} to ${chalk.cyan(
+          `${shift.after.toFixed(1)}%`
+        )} in ${last}`
+      )
+    );
+  }
+}
+
 /**
  * Display commit frequency analysis
  * @param {Object} frequencyStats - Frequency statistics
@@ -200,6 +504,87 @@ export function displayCommitFrequency(frequencyStats, options = {}) {
       `Avg Commits/Day:   ${chalk.cyan(frequencyStats.avgCommitsPerDay)}`
     )
   );
+
+  if (!options.minimal) {
+    displayActivityChart(frequencyStats);
+  }
+}
+
+/**
+ * Display commits per week, or per month for longer histories, as a line
+ * chart with the busiest period and the longest lull
+ * @param {Object} frequencyStats - Frequency statistics
+ */
+function displayActivityChart(frequencyStats) {
+  const width = getChartWidth();
+  const { weekly, monthly } = frequencyStats;
+  if (weekly.length < 2) return;
+
+  // Weeks while they fit, then months, then groups of months
+  let unit = "week";
+  let size = 1;
+  let points = weekly;
+  if (weekly.length > width) {
+    unit = "month";
+    size = Math.ceil(monthly.length / width);
+    points = [];
+    for (let index = 0; index < monthly.length; index += size) {
+      const group = monthly.slice(index, index + size);
+      points.push({
+        period: group[0].period,
+        count: group.reduce((sum, { count }) => sum + count, 0),
+      });
+    }
+  }
+
+  const counts = points.map(({ count }) => count);
+  const max = Math.max(...counts);
+  if (max === 0) return;
+
+  const label = size === 1 ? unit : `${size} months`;
+  console.log(chalk.white(`\nCommits per ${label}:`));
+  const series = fitToWidth(counts, width);
+  console.log(
+    asciichart.plot(series, {
+      min: 0,
+      height: Math.min(8, max),
+      colors: [asciichart.cyan],
+      format: (value) => String(Math.round(value)).padStart(6),
+    })
+  );
+  displayChartAxis(
+    points[0].period,
+    points[points.length - 1].period,
+    series.length
+  );
+
+  const busiest = points.find(({ count }) => count === max);
+  console.log(
+    chalk.gray(`  Busiest ${label}: ${busiest.period} (${max} commits)`)
+  );
+
+  // Longest run of periods without commits
+  let lull = { start: 0, length: 0 };
+  let start = null;
+  counts.forEach((count, index) => {
+    if (count > 0) {
+      start = null;
+      return;
+    }
+    if (start === null) start = index;
+    if (index - start + 1 > lull.length) {
+      lull = { start, length: index - start + 1 };
+    }
+  });
+  if (lull.length > 1) {
+    console.log(
+      chalk.gray(
+        `  Longest lull: ${lull.length * size} ${unit}s without commits from ${
+          points[lull.start].period
+        }`
+      )
+    );
+  }
 }
 
 /**
@@ -217,6 +602,13 @@ export function displayTimeAnalysis(timeStats, options = {}) {
       )} (${timeStats.mostActiveHour.count} commits)`
     )
   );
+  const zone =
+    !options.tz || options.tz === "author"
+      ? "each author's own time zone"
+      : options.tz === "local"
+      ? "this machine's time zone"
+      : options.tz;
+  console.log(chalk.gray(`  Hours and days in ${zone}`));
 
   if (timeStats.timeBlocks) {
     console.log(chalk.white("\nCommits by Time of Day:"));
@@ -260,6 +652,28 @@ export function displayTimeAnalysis(timeStats, options = {}) {
         chalk.white(`  ${day.padEnd(10)} ${chalk.cyan(bar)} ${count}`)
       );
     });
+
+  if (!options.minimal && timeStats.timezones.length > 0) {
+    console.log(chalk.white("\nCommits by Author Time Zone:"));
+    const max = timeStats.timezones[0].commits;
+    timeStats.timezones.slice(0, 6).forEach(({ offset, commits, authors }) => {
+      const bar = "█".repeat(Math.max(1, Math.round((commits / max) * 20)));
+      console.log(
+        chalk.white(
+          `  ${`UTC${offset}`.padEnd(10)} ${chalk.cyan(
+            bar
+          )} ${commits} ${chalk.gray(
+            `(${authors} ${authors === 1 ? "person" : "people"})`
+          )}`
+        )
+      );
+    });
+    if (timeStats.timezones.length > 6) {
+      console.log(
+        chalk.gray(`  and ${timeStats.timezones.length - 6} more time zones`)
+      );
+    }
+  }
 }
 
 /**
@@ -302,6 +716,167 @@ export function displayStreakStats(streakStats, options = {}) {
   }
 }
 
+const HEATMAP_LEVELS = [
+  { symbol: "·", color: "#484f58" },
+  { symbol: "░", color: "#0e4429" },
+  { symbol: "▒", color: "#006d32" },
+  { symbol: "▓", color: "#26a641" },
+  { symbol: "█", color: "#39d353" },
+];
+
+/**
+ * Render one heatmap cell
+ * @param {number} level - Intensity level (0-4)
+ * @returns {string} - Colored cell
+ */
+function heatmapCell(level) {
+  const { symbol, color } = HEATMAP_LEVELS[level];
+  return chalk.hex(color)(symbol);
+}
+
+/**
+ * Display the contribution heatmap
+ * @param {Object} calendar - Calendar from generateStreakCalendar
+ * @param {Object} options - Display options
+ */
+export function displayContributionHeatmap(calendar, options = {}) {
+  if (!calendar) return;
+
+  displaySection("CONTRIBUTION HEATMAP", "", options);
+
+  console.log(
+    chalk.white(
+      `${chalk.cyan(calendar.totalCommits)} commits from ${
+        calendar.startDate
+      } to ${calendar.endDate}\n`
+    )
+  );
+
+  // Month labels above the first week of each month; the month the calendar
+  // starts in is labelled only if that leaves room for the next label
+  const labels = calendar.weeks
+    .map((week, index) => {
+      const firstOfMonth = week.find((day) => day && day.date.endsWith("-01"));
+      const day = firstOfMonth || (index === 0 && week.find(Boolean));
+      if (!day) return null;
+      const month = new Date(`${day.date}T00:00:00Z`).toLocaleDateString(
+        "en-US",
+        { month: "short", timeZone: "UTC" }
+      );
+      return { index, label: `${month} ` };
+    })
+    .filter(Boolean);
+  if (labels.length > 1 && labels[1].index < labels[0].label.length) {
+    labels.shift();
+  }
+  const monthRow = labels.reduce(
+    (row, { index, label }) =>
+      row.length <= index ? row.padEnd(index) + label : row,
+    ""
+  );
+  console.log(chalk.gray(`    ${monthRow.trimEnd()}`));
+
+  const weekdayLabels = ["", "Mon", "", "Wed", "", "Fri", ""];
+  weekdayLabels.forEach((label, weekday) => {
+    const cells = calendar.weeks
+      .map((week) => (week[weekday] ? heatmapCell(week[weekday].level) : " "))
+      .join("");
+    console.log(`${chalk.gray(label.padEnd(4))}${cells}`);
+  });
+
+  // Legend with the commit range of each level
+  const [q1, q2, q3] = calendar.thresholds;
+  const ranges = [
+    [1, q1],
+    [q1 + 1, q2],
+    [q2 + 1, q3],
+    [q3 + 1, Infinity],
+  ];
+  const legend = ranges
+    .map(([from, to], index) => {
+      if (from > to) return null;
+      const range =
+        to === Infinity
+          ? `${from}+`
+          : from === to
+          ? `${from}`
+          : `${from}-${to}`;
+      return `${heatmapCell(index + 1)} ${range}`;
+    })
+    .filter(Boolean)
+    .join("  ");
+  console.log(chalk.gray(`\n    Less ${heatmapCell(0)} 0  ${legend}  More`));
+}
+
+const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+/**
+ * Print one 24 × 7 punch card, shaded relative to its busiest hour
+ * @param {Object} card - `{ grid, peak }` from getPunchCard
+ */
+function printPunchCard({ grid, peak }) {
+  const hours = Array.from({ length: 8 }, (_, index) =>
+    String(index * 3).padEnd(6)
+  ).join("");
+  console.log(chalk.gray(`    ${hours.trimEnd()}`));
+
+  grid.forEach((counts, weekday) => {
+    const cells = counts
+      .map((count) =>
+        heatmapCell(count === 0 ? 0 : Math.ceil((count / peak.count) * 4))
+      )
+      .join(" ");
+    console.log(`${chalk.gray(WEEKDAY_NAMES[weekday].slice(0, 3))} ${cells}`);
+  });
+
+  const hour = String(peak.hour).padStart(2, "0");
+  console.log(
+    chalk.gray(
+      `  Busiest hour: ${WEEKDAY_NAMES[peak.weekday]} ${hour}:00-${hour}:59 (${
+        peak.count
+      } commits)`
+    )
+  );
+}
+
+/**
+ * Display the hour by weekday punch card, and one card per top contributor
+ * when they were collected
+ * @param {Object} punchCard - Punch card from getPunchCard
+ * @param {Object} options - Display options
+ */
+export function displayPunchCard(punchCard, options = {}) {
+  if (!punchCard || punchCard.peak.count === 0) return;
+
+  displaySection("PUNCH CARD", "", options);
+
+  printPunchCard(punchCard);
+  console.log(
+    chalk.gray(
+      `\n    Less ${heatmapCell(0)} ${heatmapCell(1)} ${heatmapCell(
+        2
+      )} ${heatmapCell(3)} ${heatmapCell(4)} More`
+    )
+  );
+
+  punchCard.authors.forEach((author) => {
+    console.log(
+      chalk.white(
+        `\n${author.name} ${chalk.cyan(`(${author.commits} commits)`)}`
+      )
+    );
+    printPunchCard(author);
+  });
+}
+
 /**
  * Display commit size statistics
  * @param {Object} sizeStats - Size statistics
@@ -327,6 +902,314 @@ export function displayCommitSizeStats(sizeStats, options = {}) {
       `Avg deletions per commit:     ${chalk.red("-" + sizeStats.avgDeletions)}`
     )
   );
+  if (!sizeStats.commits) return;
+
+  console.log(
+    chalk.white(
+      `Lines changed per commit:     median ${chalk.cyan(
+        sizeStats.median
+      )}, p90 ${chalk.cyan(sizeStats.p90)}, p99 ${chalk.cyan(sizeStats.p99)}`
+    )
+  );
+  console.log(
+    chalk.white(
+      `Small commits:                ${chalk.cyan(
+        `${sizeStats.smallCommits.share.toFixed(0)}%`
+      )} change ${sizeStats.smallCommits.maxLines} lines or fewer`
+    )
+  );
+
+  const { oversized, generated } = sizeStats.excluded;
+  if (oversized > 0 || generated > 0) {
+    const reasons = [
+      oversized > 0 ? `${oversized} over the size limit` : null,
+      generated > 0 ? `${generated} only touching generated files` : null,
+    ].filter(Boolean);
+    console.log(chalk.gray(`Left out: ${reasons.join(", ")}`));
+  }
+
+  if (options.minimal) return;
+
+  console.log(chalk.white("\nCommits by Lines Changed:"));
+  const max = sizeStats.histogram.reduce(
+    (highest, { commits }) => Math.max(highest, commits),
+    0
+  );
+  sizeStats.histogram.forEach(({ bucket, min, max: upper, commits, share }) => {
+    const range = upper === null ? `${min}+` : `${min}-${upper}`;
+    const bar =
+      commits > 0
+        ? "█".repeat(Math.max(1, Math.round((commits / max) * 20)))
+        : "";
+    console.log(
+      chalk.white(
+        `  ${bucket.padEnd(3)} ${chalk.gray(range.padEnd(8))} ${chalk.cyan(
+          bar.padEnd(20)
+        )} ${commits} (${share.toFixed(0)}%)`
+      )
+    );
+  });
+
+  if (sizeStats.largestCommits.length > 0) {
+    console.log(chalk.white("\nLargest Commits:"));
+    sizeStats.largestCommits.slice(0, 5).forEach((commit) => {
+      const notes = [
+        sizeStats.outlierThreshold !== null &&
+        commit.lines > sizeStats.outlierThreshold
+          ? "outlier"
+          : null,
+        commit.excluded ? "left out" : null,
+      ].filter(Boolean);
+      const unit = commit.lines === 1 ? "line " : "lines";
+      console.log(
+        chalk.white(
+          `  ${chalk.cyan(
+            commit.lines.toLocaleString().padStart(7)
+          )} ${unit}  ${commit.subject}${
+            notes.length > 0 ? chalk.yellow(` (${notes.join(", ")})`) : ""
+          }`
+        )
+      );
+      console.log(
+        chalk.gray(
+          `                 ${commit.hash.slice(0, 7)} by ${commit.author} on ${
+            commit.day
+          }${commit.repository ? ` in ${commit.repository}` : ""}`
+        )
+      );
+    });
+  }
+}
+
+/**
+ * Display commit message statistics
+ * @param {Object} messageStats - Statistics from getCommitMessageStats
+ * @param {Object} options - Display options
+ */
+export function displayCommitMessages(messageStats, options = {}) {
+  if (!messageStats || messageStats.totalMessages === 0) return;
+
+  displaySection("COMMIT MESSAGES", "", options);
+
+  const { conventional, issueReferences } = messageStats;
+  console.log(
+    chalk.white(
+      `Conventional Commits: ${chalk.cyan(
+        `${conventional.share.toFixed(0)}%`
+      )} (${conventional.count} of ${messageStats.totalMessages} commits)`
+    )
+  );
+  if (conventional.types.length > 0) {
+    const max = conventional.types[0].count;
+    conventional.types.slice(0, 8).forEach(({ type, count, share }) => {
+      const bar = "█".repeat(Math.max(1, Math.round((count / max) * 20)));
+      console.log(
+        chalk.white(
+          `  ${type.padEnd(10)} ${chalk.cyan(bar)} ${count} ${chalk.gray(
+            `(${share.toFixed(0)}%)`
+          )}`
+        )
+      );
+    });
+  }
+  if (conventional.scopes.length > 0) {
+    console.log(
+      chalk.gray(
+        `  Top scopes: ${conventional.scopes
+          .slice(0, 5)
+          .map(({ scope, count }) => `${scope} (${count})`)
+          .join(", ")}`
+      )
+    );
+  }
+  if (conventional.breaking > 0) {
+    console.log(chalk.gray(`  Breaking changes: ${conventional.breaking}`));
+  }
+
+  console.log(
+    chalk.white(
+      `\nAvg Subject Length: ${chalk.cyan(
+        `${messageStats.avgSubjectLength.toFixed(0)} characters`
+      )}`
+    )
+  );
+  console.log(
+    chalk.white(
+      `Issue References:   ${chalk.cyan(
+        `${issueReferences.share.toFixed(0)}%`
+      )} of commits (${issueReferences.count})`
+    )
+  );
+  console.log(
+    chalk.white(
+      `Reverts ${chalk.cyan(messageStats.reverts)}  WIP ${chalk.cyan(
+        messageStats.wip
+      )}  Fixups ${chalk.cyan(messageStats.fixups)}`
+    )
+  );
+
+  if (messageStats.topWords.length > 0) {
+    console.log(
+      chalk.white(
+        `\nMost Common Words: ${messageStats.topWords
+          .slice(0, 8)
+          .map(({ word, count }) => `${chalk.cyan(word)} (${count})`)
+          .join(", ")}`
+      )
+    );
+  }
+}
+
+// Display names of the pull request conventions from getPullRequestStats
+const PULL_REQUEST_CONVENTIONS = {
+  githubMerge: "GitHub merge commit",
+  githubSquash: "GitHub squash merge",
+  rebase: "GitHub rebase merge",
+  gitlab: "GitLab merge request",
+  bitbucket: "Bitbucket",
+  azureDevOps: "Azure DevOps",
+};
+
+/**
+ * Display pull request and merge statistics
+ * @param {Object} pullRequestStats - Statistics from getPullRequestStats
+ * @param {Object} options - Display options
+ */
+export function displayPullRequests(pullRequestStats, options = {}) {
+  if (!pullRequestStats) return;
+  const { count, merges, firstNumber, lastNumber } = pullRequestStats;
+  if (count === 0 && merges === 0) return;
+
+  displaySection("PULL REQUESTS", "", options);
+
+  const range =
+    firstNumber !== null && firstNumber !== lastNumber
+      ? ` (#${firstNumber} to #${lastNumber})`
+      : "";
+  console.log(
+    chalk.white(`Merged Pull Requests: ${chalk.cyan(count)}${range}`)
+  );
+  console.log(chalk.white(`Merge Commits:        ${chalk.cyan(merges)}`));
+  if (pullRequestStats.medianCommitsPerPr !== null) {
+    console.log(
+      chalk.white(
+        `Median Commits/PR:    ${chalk.cyan(
+          pullRequestStats.medianCommitsPerPr
+        )}`
+      )
+    );
+  }
+
+  const conventions = Object.entries(pullRequestStats.conventions).filter(
+    ([, total]) => total > 0
+  );
+  if (conventions.length > 0) {
+    console.log(chalk.white("\nHow They Were Merged:"));
+    conventions
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([convention, total]) => {
+        console.log(
+          chalk.white(
+            `  ${PULL_REQUEST_CONVENTIONS[convention].padEnd(22)} ${chalk.cyan(
+              total
+            )}`
+          )
+        );
+      });
+  }
+
+  if (pullRequestStats.targets.length > 0) {
+    console.log(chalk.white("\nMerged Into:"));
+    pullRequestStats.targets.slice(0, 5).forEach(({ branch, count }) => {
+      console.log(chalk.white(`  ${branch.padEnd(22)} ${chalk.cyan(count)}`));
+    });
+  }
+
+  if (
+    pullRequestStats.conventions.githubSquash > 0 &&
+    pullRequestStats.medianCommitsPerPr !== null
+  ) {
+    console.log(
+      chalk.gray(
+        "\n  Squash merges hide their commits and are left out of the median"
+      )
+    );
+  }
+}
+
+/**
+ * Display code ownership and bus factors, flagging single-owner areas
+ * @param {Object} ownershipStats - Statistics from getOwnershipStats
+ * @param {Object} options - Display options
+ */
+export function displayOwnership(ownershipStats, options = {}) {
+  if (!ownershipStats || ownershipStats.overall.lines === 0) return;
+
+  displaySection("OWNERSHIP & BUS FACTOR", "", options);
+
+  const { overall } = ownershipStats;
+  console.log(
+    chalk.white(
+      `Bus Factor: ${chalk.cyan(overall.busFactor)} (${
+        overall.owner
+      } wrote ${overall.ownerShare.toFixed(0)}% of the code)`
+    )
+  );
+
+  console.log(
+    chalk.gray(
+      `\n  ${"Directory".padEnd(24)} ${"Owner".padEnd(20)} ${"Share".padStart(
+        6
+      )} ${"Authors".padStart(8)} ${"Bus".padStart(4)}`
+    )
+  );
+  ownershipStats.directories.slice(0, 10).forEach((directory) => {
+    const share = `${directory.ownerShare.toFixed(0)}%`.padStart(6);
+    console.log(
+      chalk.white(
+        `  ${directory.directory.padEnd(24)} ${directory.owner.padEnd(20)} ${
+          directory.atRisk ? chalk.red(share) : chalk.cyan(share)
+        } ${`${directory.meaningfulAuthors}/${directory.authors}`.padStart(
+          8
+        )} ${String(directory.busFactor).padStart(4)}${
+          directory.atRisk ? chalk.red("  at risk") : ""
+        }`
+      )
+    );
+  });
+  console.log(
+    chalk.gray(
+      "  Authors: people with at least 5% of the lines / everyone who added lines"
+    )
+  );
+
+  const risky = ownershipStats.directories.filter(({ atRisk }) => atRisk);
+  if (risky.length > 0) {
+    console.log(
+      chalk.yellow(
+        `\n  ${risky.length} of ${ownershipStats.directories.length} ${
+          ownershipStats.directories.length === 1 ? "area" : "areas"
+        } ${
+          risky.length === 1 ? "relies" : "rely"
+        } on one person for more than 80% of the code`
+      )
+    );
+  }
+
+  if (!options.minimal && ownershipStats.riskiestFiles.length > 0) {
+    console.log(chalk.white("\nLargest Single-Owner Files:"));
+    ownershipStats.riskiestFiles
+      .slice(0, 5)
+      .forEach(({ file, lines, size, owner, ownerShare }) => {
+        const share = `${ownerShare.toFixed(0)}%`;
+        const detail = `${share} of ${lines.toLocaleString()} lines added, ${size.toLocaleString()} lines now`;
+        console.log(
+          chalk.white(
+            `  ${file.padEnd(40)} ${owner} ${chalk.gray(`(${detail})`)}`
+          )
+        );
+      });
+  }
 }
 
 /**
@@ -346,6 +1229,113 @@ export function displayFileChurn(fileChurn, options = {}) {
   });
 }
 
+// Bars of a sparkline, from no changes to the busiest period
+const SPARKLINE_LEVELS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+
+/**
+ * Draw a series as a one-line sparkline
+ * @param {Array} values - Counts to draw
+ * @returns {string} - One bar per value, scaled to the highest
+ */
+function sparkline(values) {
+  const max = values.reduce((highest, value) => Math.max(highest, value), 0);
+  return values
+    .map((value) => {
+      if (max === 0) return SPARKLINE_LEVELS[0];
+      const level = Math.ceil((value / max) * (SPARKLINE_LEVELS.length - 1));
+      return SPARKLINE_LEVELS[level];
+    })
+    .join("");
+}
+
+/**
+ * Display code hotspots: the files and directories that combine frequent
+ * changes, many changed lines, size and many authors
+ * @param {Object} hotspots - Hotspots from getHotspots
+ * @param {Object} options - Display options
+ */
+export function displayHotspots(hotspots, options = {}) {
+  if (!hotspots || hotspots.files.length === 0) return;
+
+  displaySection("HOTSPOTS", "", options);
+
+  console.log(
+    chalk.gray(
+      `  ${"File".padEnd(40)} ${"Score".padStart(5)} ${"Changes".padStart(
+        7
+      )} ${"Lines".padStart(6)} ${"Authors".padStart(7)}  History`
+    )
+  );
+  hotspots.files.slice(0, 10).forEach((file) => {
+    console.log(
+      chalk.white(
+        `  ${file.file.padEnd(40)} ${chalk.cyan(
+          file.score.toFixed(0).padStart(5)
+        )} ${String(file.changes).padStart(7)} ${file.size
+          .toLocaleString()
+          .padStart(6)} ${String(file.authors).padStart(7)}  ${chalk.green(
+          sparkline(file.history)
+        )}`
+      )
+    );
+  });
+  console.log(
+    chalk.gray(
+      "  Score: change count, changed lines, current lines and authors, each against the top file"
+    )
+  );
+
+  if (hotspots.directories.length > 1) {
+    console.log(chalk.white("\nHottest Directories:"));
+    hotspots.directories.slice(0, 5).forEach((directory) => {
+      const count = (value, noun) =>
+        `${value} ${noun}${value === 1 ? "" : "s"}`;
+      console.log(
+        chalk.white(
+          `  ${directory.directory.padEnd(40)} ${chalk.cyan(
+            directory.score.toFixed(0).padStart(5)
+          )} ${chalk.gray(
+            [
+              count(directory.files, "file"),
+              count(directory.changes, "change"),
+              count(directory.authors, "author"),
+            ].join(", ")
+          )}`
+        )
+      );
+    });
+  }
+}
+
+/**
+ * Display the commits that renamed or moved the most files
+ * @param {Array} refactors - Commits from getBiggestRefactors
+ * @param {Object} options - Display options
+ */
+export function displayBiggestRefactors(refactors, options = {}) {
+  if (!refactors || refactors.length === 0) return;
+
+  displaySection("BIGGEST REFACTORS", "", options);
+
+  refactors.slice(0, 5).forEach((refactor, index) => {
+    const renames = `${refactor.renames} ${
+      refactor.renames === 1 ? "rename" : "renames"
+    }`;
+    console.log(
+      chalk.white(
+        `${index + 1}. ${chalk.cyan(renames.padEnd(12))} ${refactor.subject}`
+      )
+    );
+    console.log(
+      chalk.gray(
+        `   ${refactor.hash.slice(0, 7)} by ${refactor.author} on ${
+          refactor.day
+        }${refactor.repository ? ` in ${refactor.repository}` : ""}`
+      )
+    );
+  });
+}
+
 /**
  * Display branch statistics
  * @param {Object} branchStats - Branch statistics
@@ -379,13 +1369,172 @@ export function displayBranchStats(branchStats, options = {}) {
 }
 
 /**
- * Display fun facts and achievements
- * @param {Object} allStats - All statistics for generating fun facts
+ * Format the change of a metric with an up or down arrow
+ * @param {Object} change - `{ change, percent }` from getComparison
+ * @param {string} unit - Unit shown after the change
+ * @returns {string} - The colored change
+ */
+function formatChange(change, unit = "") {
+  if (change.change === 0) return chalk.gray("= no change");
+
+  const arrow = change.change > 0 ? "▲" : "▼";
+  const color = change.change > 0 ? chalk.green : chalk.red;
+  const percent =
+    change.percent === null
+      ? ""
+      : ` (${change.percent > 0 ? "+" : ""}${change.percent.toFixed(0)}%)`;
+  return color(`${arrow} ${Math.abs(change.change)}${unit}${percent}`);
+}
+
+/**
+ * Format a list of names, shortened after a few
+ * @param {Array<string>} names - The names
+ * @param {number} limit - How many names to show
+ * @returns {string} - The names
+ */
+function formatNames(names, limit = 6) {
+  if (names.length === 0) return "-";
+  const shown = names.slice(0, limit).join(", ");
+  return names.length > limit
+    ? `${shown} and ${names.length - limit} more`
+    : shown;
+}
+
+/**
+ * Display a comparison of two periods
+ * @param {Object} comparison - Comparison from getComparison
  * @param {Object} options - Display options
  */
-export function displayFunFacts(allStats, options = {}) {
-  displaySection("FUN FACTS & ACHIEVEMENTS", "", options);
+export function displayComparison(comparison, options = {}) {
+  if (!comparison) return;
+
+  const [before, after] = comparison.periods;
+  displaySection(`${before.label} VS ${after.label}`, "", options);
 
+  const formatHour = (hour) => (hour === null ? "-" : `${hour}:00`);
+  const width = Math.max(
+    10,
+    ...comparison.periods.map(({ label }) => String(label).length)
+  );
+  const row = (label, beforeValue, afterValue, change) => {
+    console.log(
+      chalk.white(
+        `  ${label.padEnd(20)} ${String(beforeValue).padStart(
+          width
+        )} ${chalk.cyan(String(afterValue).padStart(width))}   ${change}`
+      )
+    );
+  };
+
+  console.log(
+    chalk.gray(
+      `  ${"".padEnd(20)} ${String(before.label).padStart(width)} ${String(
+        after.label
+      ).padStart(width)}   Change`
+    )
+  );
+  row(
+    "Commits",
+    comparison.commits.before,
+    comparison.commits.after,
+    formatChange(comparison.commits)
+  );
+  row(
+    "Contributors",
+    comparison.contributors.before,
+    comparison.contributors.after,
+    formatChange(comparison.contributors)
+  );
+  row(
+    "Lines per commit",
+    comparison.avgCommitSize.before,
+    comparison.avgCommitSize.after,
+    formatChange(comparison.avgCommitSize)
+  );
+  row(
+    "Files per commit",
+    comparison.avgFilesChanged.before,
+    comparison.avgFilesChanged.after,
+    formatChange(comparison.avgFilesChanged)
+  );
+
+  const { shift } = comparison.mostActiveHour;
+  let hourChange = chalk.gray("-");
+  if (shift === 0) hourChange = chalk.gray("= no change");
+  if (shift) {
+    hourChange = chalk.yellow(
+      `${Math.abs(shift)}h ${shift < 0 ? "earlier" : "later"}`
+    );
+  }
+  row(
+    "Most active hour",
+    formatHour(comparison.mostActiveHour.before),
+    formatHour(comparison.mostActiveHour.after),
+    hourChange
+  );
+  row(
+    "Longest streak",
+    `${comparison.longestStreak.before}d`,
+    `${comparison.longestStreak.after}d`,
+    formatChange(comparison.longestStreak, "d")
+  );
+  row(
+    "Active days",
+    comparison.activeDays.before,
+    comparison.activeDays.after,
+    formatChange(comparison.activeDays)
+  );
+
+  const { contributors } = comparison;
+  console.log(chalk.white("\nContributors:"));
+  console.log(
+    chalk.white(
+      `  New (${contributors.new.length})       ${chalk.green(
+        formatNames(contributors.new)
+      )}`
+    )
+  );
+  console.log(
+    chalk.white(
+      `  Returning (${contributors.returning.length}) ${formatNames(
+        contributors.returning
+      )}`
+    )
+  );
+  console.log(
+    chalk.white(
+      `  Departed (${contributors.departed.length})  ${chalk.red(
+        formatNames(contributors.departed)
+      )}`
+    )
+  );
+
+  if (comparison.languages.length > 0 && !options.minimal) {
+    console.log(chalk.white("\nLanguage Share (lines added):"));
+    comparison.languages.forEach((language) => {
+      console.log(
+        chalk.white(
+          `  ${language.language.padEnd(20)} ${`${language.before.toFixed(
+            1
+          )}%`.padStart(width)} ${chalk.cyan(
+            `${language.after.toFixed(1)}%`.padStart(width)
+          )}   ${formatChange(
+            { change: Math.round(language.change * 10) / 10, percent: null },
+            " pts"
+          )}`
+        )
+      );
+    });
+  }
+}
+
+/**
+ * Build the list of fun facts and achievements
+ * @param {Object} allStats - All statistics for generating fun facts
+ * @param {Object} options - Display options
+ * @returns {Array<string>} - Fun facts
+ */
+export function getFunFacts(allStats, options = {}) {
   const facts = [];
 
   // First commit of the year
@@ -397,11 +1546,57 @@ export function displayFunFacts(allStats, options = {}) {
   }
 
   // Most productive contributor
-  if (allStats.contributors && allStats.contributors.length > 0) {
-    const top = allStats.contributors[0];
+  const humans = (allStats.contributors || []).filter(
+    (contributor) => !contributor.isBot
+  );
+  if (humans.length > 0) {
+    const top = humans.reduce((max, contributor) =>
+      contributor.commits > max.commits ? contributor : max
+    );
     facts.push(`MVP: ${top.name} with ${top.commits} commits`);
   }
 
+  // Busiest repository of a multi-repository report
+  if (allStats.repositories && allStats.repositories.length > 1) {
+    const [busiest] = allStats.repositories;
+    if (busiest.commits > 0) {
+      facts.push(
+        `Busiest repo: ${busiest.name} with ${busiest.commits} of ${allStats.basicStats.numCommits} commits`
+      );
+    }
+  }
+
+  // Commit messages
+  const messages = allStats.messageStats;
+  if (messages && messages.topWords.length > 0) {
+    const [word] = messages.topWords;
+    facts.push(`Most used commit word: "${word.word}" (${word.count} times)`);
+  }
+  if (messages && messages.totalMessages >= 10) {
+    if (messages.conventional.share >= 80) {
+      facts.push(
+        `Convention keepers - ${messages.conventional.share.toFixed(
+          0
+        )}% Conventional Commits`
+      );
+    }
+    if (messages.reverts > 0) {
+      facts.push(
+        `Changed your mind ${messages.reverts} ${
+          messages.reverts === 1 ? "time" : "times"
+        } (reverts)`
+      );
+    }
+    const unfinished = messages.wip + messages.fixups;
+    if (unfinished > 0) {
+      facts.push(
+        `${unfinished} WIP or fixup ${
+          unfinished === 1 ? "commit" : "commits"
+        } made it into history`
+      );
+    }
+  }
+
   // Code size achievement
   if (allStats.lineStats && allStats.lineStats.totalLOC > 10000) {
     facts.push(
@@ -437,7 +1632,18 @@ export function displayFunFacts(allStats, options = {}) {
     }
   }
 
-  facts.forEach((fact) => {
+  return facts;
+}
+
+/**
+ * Display fun facts and achievements
+ * @param {Object} allStats - All statistics for generating fun facts
+ * @param {Object} options - Display options
+ */
+export function displayFunFacts(allStats, options = {}) {
+  displaySection("FUN FACTS & ACHIEVEMENTS", "", options);
+
+  getFunFacts(allStats, options).forEach((fact) => {
     console.log(chalk.yellow(`  ${fact}`));
   });
 }
@@ -0,0 +1,81 @@
+import { classifyHistoryFiles, isCountedLanguage } from "./languages.js";
+import { listMonths } from "./utils.js";
+
+// Languages charted individually; the rest are grouped as "Other"
+const TOP_LANGUAGES = 5;
+
+/**
+ * Get how each language's share of the changed lines evolved month by
+ * month. Changed lines are additions plus deletions; vendored, generated,
+ * binary, data and prose files are left out.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Object} - `{ months, languages }`, where each language has its
+ *   changed `lines` and `shares` (percent) per month
+ */
+export function getLanguageEvolution(history, verbose = false) {
+  const classified = classifyHistoryFiles(history, verbose);
+  const linesByMonth = new Map();
+  const totals = new Map();
+
+  history.commits.forEach((commit) => {
+    const month = commit.day.slice(0, 7);
+    commit.files.forEach(({ path, additions, deletions }) => {
+      const { language, exclusion } = classified.get(
+        `${commit.repository}/${path}`
+      );
+      if (exclusion || !isCountedLanguage(language)) return;
+
+      const lines = additions + deletions;
+      if (lines === 0) return;
+      const counts = linesByMonth.get(month) || new Map();
+      counts.set(language, (counts.get(language) || 0) + lines);
+      linesByMonth.set(month, counts);
+      totals.set(language, (totals.get(language) || 0) + lines);
+    });
+  });
+
+  if (linesByMonth.size === 0) return { months: [], languages: [] };
+
+  const sortedMonths = [...linesByMonth.keys()].sort();
+  const months = listMonths(
+    sortedMonths[0],
+    sortedMonths[sortedMonths.length - 1]
+  );
+
+  const ranked = [...totals]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([language]) => language);
+  const charted = ranked.slice(0, TOP_LANGUAGES);
+  const others = new Set(ranked.slice(TOP_LANGUAGES));
+
+  const series = [...charted, ...(others.size > 0 ? ["Other"] : [])].map(
+    (language) => ({
+      language,
+      lines: months.map((month) => {
+        const counts = linesByMonth.get(month) || new Map();
+        if (language !== "Other") return counts.get(language) || 0;
+        return [...counts]
+          .filter(([name]) => others.has(name))
+          .reduce((sum, [, lines]) => sum + lines, 0);
+      }),
+    })
+  );
+
+  const monthTotals = months.map((month, index) =>
+    series.reduce((sum, { lines }) => sum + lines[index], 0)
+  );
+
+  return {
+    months,
+    languages: series.map(({ language, lines }) => ({
+      language,
+      lines,
+      shares: lines.map((count, index) =>
+        monthTotals[index] > 0
+          ? Math.round((count / monthTotals[index]) * 1000) / 10
+          : 0
+      ),
+    })),
+  };
+}
@@ -0,0 +1,510 @@
+import { readFileSync, writeFileSync } from "fs";
+
+/**
+ * Version of the JSON report schema. Bump this whenever a field is renamed,
+ * removed or changes type so consumers can detect incompatible documents.
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Read the package version for the report metadata
+ * @returns {string} - The gitwrapped version
+ */
+function getPackageVersion() {
+  try {
+    const pkg = JSON.parse(
+      readFileSync(new URL("../package.json", import.meta.url), "utf8")
+    );
+    return pkg.version;
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+/**
+ * Convert a value to a number, falling back to 0
+ * @param {*} value - Value to convert (numbers or numeric strings)
+ * @returns {number} - The numeric value
+ */
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Normalize a comparison from getComparison into the stable report schema
+ * @param {Object} comparison - The comparison
+ * @returns {Object} - Comparison with every field present and typed
+ */
+function normalizeComparison(comparison) {
+  const normalizeChange = (change = {}) => ({
+    before: toNumber(change.before),
+    after: toNumber(change.after),
+    change: toNumber(change.change),
+    percent: change.percent === null ? null : toNumber(change.percent),
+  });
+  const hour = comparison.mostActiveHour || {};
+  const orNull = (value) => (value === null ? null : toNumber(value));
+
+  return {
+    periods: comparison.periods.map(({ label, since, until }) => ({
+      label: String(label),
+      since,
+      until,
+    })),
+    commits: normalizeChange(comparison.commits),
+    contributors: {
+      ...normalizeChange(comparison.contributors),
+      new: [...comparison.contributors.new],
+      returning: [...comparison.contributors.returning],
+      departed: [...comparison.contributors.departed],
+    },
+    avgCommitSize: normalizeChange(comparison.avgCommitSize),
+    avgFilesChanged: normalizeChange(comparison.avgFilesChanged),
+    mostActiveHour: {
+      before: orNull(hour.before),
+      after: orNull(hour.after),
+      shift: orNull(hour.shift),
+    },
+    longestStreak: normalizeChange(comparison.longestStreak),
+    activeDays: normalizeChange(comparison.activeDays),
+    languages: comparison.languages.map(({ language, ...change }) => ({
+      language,
+      ...normalizeChange(change),
+    })),
+  };
+}
+
+/**
+ * Normalize collected statistics into the stable report schema
+ * @param {Object} allStats - All collected statistics
+ * @returns {Object} - Statistics with every field present and typed
+ */
+export function normalizeStats(allStats = {}) {
+  const basic = allStats.basicStats || {};
+  const lines = allStats.lineStats || {};
+  const time = allStats.timeStats || {};
+  const punchCard = allStats.punchCard || {};
+  const frequency = allStats.frequencyStats || {};
+  const size = allStats.sizeStats || {};
+  const messages = allStats.messageStats || {};
+  const conventional = messages.conventional || {};
+  const issueReferences = messages.issueReferences || {};
+  const pulls = allStats.pullRequestStats || {};
+  const ownership = allStats.ownershipStats || {};
+  const hotspots = allStats.hotspots || {};
+  const languages = allStats.languageStats || {};
+  const excluded = languages.excluded || {};
+  const evolution = allStats.languageEvolution || {};
+  const branches = allStats.branchStats || {};
+  const streaks = allStats.streakStats || {};
+  const calendar = allStats.streakCalendar || null;
+  const personal = allStats.personalStats || null;
+  const comparison = allStats.comparison || null;
+
+  const orNull = (value) =>
+    value === null || value === undefined ? null : toNumber(value);
+
+  const normalizeOwnership = (area = {}) => ({
+    lines: toNumber(area.lines),
+    owner: area.owner || null,
+    ownerShare: toNumber(area.ownerShare),
+    authors: toNumber(area.authors),
+    meaningfulAuthors: toNumber(area.meaningfulAuthors),
+    busFactor: toNumber(area.busFactor),
+    atRisk: Boolean(area.atRisk),
+  });
+
+  const normalizePeak = (peak = {}) => ({
+    date: peak.date || "",
+    count: toNumber(peak.count),
+  });
+
+  const punchCardGrid = ({ grid } = {}) =>
+    Array.from({ length: 7 }, (_, weekday) =>
+      Array.from({ length: 24 }, (_, hour) =>
+        toNumber(grid && grid[weekday][hour])
+      )
+    );
+
+  const normalizePunchPeak = (peak = {}) => ({
+    weekday: toNumber(peak.weekday),
+    hour: toNumber(peak.hour),
+    count: toNumber(peak.count),
+  });
+
+  const normalizeCount = ({ period, count }) => ({
+    period,
+    count: toNumber(count),
+  });
+
+  const normalizeBranch = (branch) => ({
+    name: branch.name,
+    commits: toNumber(branch.commits),
+    lastCommitDate: branch.lastCommitDate || null,
+    lastAuthor: branch.lastAuthor || null,
+    isRemote: Boolean(branch.isRemote),
+  });
+
+  return {
+    basicStats: {
+      firstCommitDate: basic.firstCommitDate || null,
+      lastCommitDate: basic.lastCommitDate || null,
+      numCommits: toNumber(basic.numCommits),
+      numBranches: toNumber(basic.numBranches),
+      numPullRequests: toNumber(basic.numPullRequests),
+      numContributors: toNumber(basic.numContributors),
+    },
+    lineStats: {
+      totalLOC: toNumber(lines.totalLOC),
+      largestFiles: (lines.largestFiles || []).map(({ file, lines }) => ({
+        file,
+        lines: toNumber(lines),
+      })),
+    },
+    contributors: (allStats.contributors || []).map((contributor) => ({
+      name: contributor.name,
+      isBot: Boolean(contributor.isBot),
+      commits: toNumber(contributor.commits),
+      additions: toNumber(contributor.additions),
+      deletions: toNumber(contributor.deletions),
+      net: toNumber(contributor.net),
+      filesTouched: toNumber(contributor.filesTouched),
+      firstCommitDate: contributor.firstCommitDate || null,
+      lastCommitDate: contributor.lastCommitDate || null,
+      activeDays: toNumber(contributor.activeDays),
+    })),
+    personalStats: personal && {
+      name: personal.name,
+      commits: toNumber(personal.commits),
+      totalCommits: toNumber(personal.totalCommits),
+      commitShare: toNumber(personal.commitShare),
+      additions: toNumber(personal.additions),
+      totalAdditions: toNumber(personal.totalAdditions),
+      additionsShare: toNumber(personal.additionsShare),
+      rank: toNumber(personal.rank),
+      totalContributors: toNumber(personal.totalContributors),
+    },
+    timeStats: {
+      mostActiveHour: {
+        hour: toNumber(time.mostActiveHour && time.mostActiveHour.hour),
+        count: toNumber(time.mostActiveHour && time.mostActiveHour.count),
+      },
+      weekdayCommits: { ...(time.weekdayCommits || {}) },
+      timeBlocks: { ...(time.timeBlocks || {}) },
+      weekendVsWeekday: {
+        weekend: toNumber(
+          time.weekendVsWeekday && time.weekendVsWeekday.weekend
+        ),
+        weekday: toNumber(
+          time.weekendVsWeekday && time.weekendVsWeekday.weekday
+        ),
+      },
+      timezones: (time.timezones || []).map(({ offset, commits, authors }) => ({
+        offset,
+        commits: toNumber(commits),
+        authors: toNumber(authors),
+      })),
+    },
+    punchCard: {
+      grid: punchCardGrid(punchCard),
+      peak: normalizePunchPeak(punchCard.peak),
+      authors: (punchCard.authors || []).map((author) => ({
+        name: author.name,
+        commits: toNumber(author.commits),
+        grid: punchCardGrid(author),
+        peak: normalizePunchPeak(author.peak),
+      })),
+    },
+    frequencyStats: {
+      maxDay: normalizePeak(frequency.maxDay),
+      maxMonth: normalizePeak(frequency.maxMonth),
+      maxYear: normalizePeak(frequency.maxYear),
+      avgCommitsPerMonth: toNumber(frequency.avgCommitsPerMonth),
+      avgCommitsPerDay: toNumber(frequency.avgCommitsPerDay),
+      weekly: (frequency.weekly || []).map(normalizeCount),
+      monthly: (frequency.monthly || []).map(normalizeCount),
+    },
+    sizeStats: {
+      avgFilesChanged: toNumber(size.avgFilesChanged),
+      avgInsertions: toNumber(size.avgInsertions),
+      avgDeletions: toNumber(size.avgDeletions),
+      commits: toNumber(size.commits),
+      excluded: {
+        oversized: toNumber(size.excluded && size.excluded.oversized),
+        generated: toNumber(size.excluded && size.excluded.generated),
+      },
+      median: toNumber(size.median),
+      p90: toNumber(size.p90),
+      p99: toNumber(size.p99),
+      histogram: (size.histogram || []).map((bucket) => ({
+        bucket: bucket.bucket,
+        min: toNumber(bucket.min),
+        max: orNull(bucket.max),
+        commits: toNumber(bucket.commits),
+        share: toNumber(bucket.share),
+      })),
+      smallCommits: {
+        maxLines: toNumber(size.smallCommits && size.smallCommits.maxLines),
+        share: toNumber(size.smallCommits && size.smallCommits.share),
+      },
+      outlierThreshold: orNull(size.outlierThreshold),
+      outliers: toNumber(size.outliers),
+      largestCommits: (size.largestCommits || []).map((commit) => ({
+        hash: commit.hash,
+        author: commit.author,
+        subject: commit.subject,
+        day: commit.day,
+        repository: commit.repository || null,
+        lines: toNumber(commit.lines),
+        files: toNumber(commit.files),
+        excluded: Boolean(commit.excluded),
+      })),
+    },
+    messageStats: {
+      totalMessages: toNumber(messages.totalMessages),
+      conventional: {
+        count: toNumber(conventional.count),
+        share: toNumber(conventional.share),
+        breaking: toNumber(conventional.breaking),
+        types: (conventional.types || []).map(({ type, count, share }) => ({
+          type,
+          count: toNumber(count),
+          share: toNumber(share),
+        })),
+        scopes: (conventional.scopes || []).map(({ scope, count, share }) => ({
+          scope,
+          count: toNumber(count),
+          share: toNumber(share),
+        })),
+      },
+      avgSubjectLength: toNumber(messages.avgSubjectLength),
+      topWords: (messages.topWords || []).map(({ word, count }) => ({
+        word,
+        count: toNumber(count),
+      })),
+      issueReferences: {
+        count: toNumber(issueReferences.count),
+        share: toNumber(issueReferences.share),
+      },
+      reverts: toNumber(messages.reverts),
+      wip: toNumber(messages.wip),
+      fixups: toNumber(messages.fixups),
+    },
+    pullRequestStats: {
+      count: toNumber(pulls.count),
+      merges: toNumber(pulls.merges),
+      conventions: Object.fromEntries(
+        [
+          "githubMerge",
+          "githubSquash",
+          "rebase",
+          "gitlab",
+          "bitbucket",
+          "azureDevOps",
+        ].map((convention) => [
+          convention,
+          toNumber(pulls.conventions && pulls.conventions[convention]),
+        ])
+      ),
+      targets: (pulls.targets || []).map(({ branch, count }) => ({
+        branch,
+        count: toNumber(count),
+      })),
+      medianCommitsPerPr: orNull(pulls.medianCommitsPerPr),
+      firstNumber: orNull(pulls.firstNumber),
+      lastNumber: orNull(pulls.lastNumber),
+      pullRequests: (pulls.pullRequests || []).map((pullRequest) => ({
+        convention: pullRequest.convention,
+        number: orNull(pullRequest.number),
+        source: pullRequest.source || null,
+        target: pullRequest.target || null,
+        commits: orNull(pullRequest.commits),
+        hash: pullRequest.hash,
+        day: pullRequest.day,
+      })),
+    },
+    hotspots: {
+      files: (hotspots.files || []).map((file) => ({
+        file: file.file,
+        score: toNumber(file.score),
+        changes: toNumber(file.changes),
+        linesChanged: toNumber(file.linesChanged),
+        size: toNumber(file.size),
+        authors: toNumber(file.authors),
+        history: (file.history || []).map(toNumber),
+      })),
+      directories: (hotspots.directories || []).map((directory) => ({
+        directory: directory.directory,
+        score: toNumber(directory.score),
+        files: toNumber(directory.files),
+        changes: toNumber(directory.changes),
+        linesChanged: toNumber(directory.linesChanged),
+        size: toNumber(directory.size),
+        authors: toNumber(directory.authors),
+      })),
+    },
+    biggestRefactors: (allStats.biggestRefactors || []).map((refactor) => ({
+      hash: refactor.hash,
+      subject: refactor.subject,
+      author: refactor.author,
+      day: refactor.day,
+      repository: refactor.repository || null,
+      renames: toNumber(refactor.renames),
+    })),
+    ownershipStats: {
+      overall: normalizeOwnership(ownership.overall),
+      directories: (ownership.directories || []).map((directory) => ({
+        directory: directory.directory,
+        ...normalizeOwnership(directory),
+      })),
+      riskiestFiles: (ownership.riskiestFiles || []).map((file) => ({
+        file: file.file,
+        lines: toNumber(file.lines),
+        size: toNumber(file.size),
+        owner: file.owner || null,
+        ownerShare: toNumber(file.ownerShare),
+      })),
+    },
+    languageStats: {
+      languages: (languages.languages || []).map((language) => ({
+        language: language.language,
+        type: language.type,
+        files: toNumber(language.files),
+        lines: toNumber(language.lines),
+        code: toNumber(language.code),
+        comment: toNumber(language.comment),
+        blank: toNumber(language.blank),
+        share: toNumber(language.share),
+      })),
+      totalFiles: toNumber(languages.totalFiles),
+      totalCode: toNumber(languages.totalCode),
+      excluded: {
+        vendored: toNumber(excluded.vendored),
+        generated: toNumber(excluded.generated),
+        binary: toNumber(excluded.binary),
+        unknown: toNumber(excluded.unknown),
+      },
+    },
+    languageEvolution: {
+      months: [...(evolution.months || [])],
+      languages: (evolution.languages || []).map((language) => ({
+        language: language.language,
+        lines: language.lines.map(toNumber),
+        shares: language.shares.map(toNumber),
+      })),
+    },
+    fileChurn: (allStats.fileChurn || []).map(({ file, changes }) => ({
+      file,
+      changes: toNumber(changes),
+    })),
+    branchStats: {
+      branches: (branches.branches || []).map(normalizeBranch),
+      totalBranches: toNumber(branches.totalBranches),
+      activeBranches: (branches.activeBranches || []).map(normalizeBranch),
+    },
+    streakStats: {
+      currentStreak: toNumber(streaks.currentStreak),
+      longestStreak: toNumber(streaks.longestStreak),
+      longestStreakStart: streaks.longestStreakStart || null,
+      longestStreakEnd: streaks.longestStreakEnd || null,
+      totalActiveDays: toNumber(streaks.totalActiveDays),
+      streakMilestones: [...(streaks.streakMilestones || [])],
+    },
+    streakCalendar: {
+      startDate: calendar ? calendar.startDate : null,
+      endDate: calendar ? calendar.endDate : null,
+      thresholds: calendar ? [...calendar.thresholds] : [],
+      days: calendar
+        ? calendar.weeks
+            .flat()
+            .filter(Boolean)
+            .map(({ date, count, level }) => ({
+              date,
+              count: toNumber(count),
+              level: toNumber(level),
+            }))
+        : [],
+    },
+    repositories: (allStats.repositories || []).map((repository) => ({
+      name: repository.name,
+      path: repository.path,
+      commits: toNumber(repository.commits),
+      contributors: toNumber(repository.contributors),
+      additions: toNumber(repository.additions),
+      deletions: toNumber(repository.deletions),
+      activeDays: toNumber(repository.activeDays),
+      firstCommitDate: repository.firstCommitDate || null,
+      lastCommitDate: repository.lastCommitDate || null,
+      topContributor: repository.topContributor || null,
+    })),
+    comparison: comparison && normalizeComparison(comparison),
+  };
+}
+
+/**
+ * Build the versioned JSON report document
+ * @param {Object} allStats - All collected statistics
+ * @param {string} repoName - Repository name
+ * @param {Object} options - Parsed CLI options
+ * @param {Array<string>|null} sections - Sections that were collected
+ *   (default: all); the others are emitted as `null`
+ * @param {Array} errors - `{ section, message }` of each section that failed
+ * @returns {Object} - The report document
+ */
+export function buildJsonReport(
+  allStats,
+  repoName,
+  options = {},
+  sections = null,
+  errors = []
+) {
+  const stats = normalizeStats(allStats);
+  const repositories = options.repositories || [];
+  if (sections) {
+    Object.keys(stats)
+      .filter((section) => !sections.includes(section))
+      .forEach((section) => {
+        stats[section] = null;
+      });
+  }
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generator: { name: "gitwrapped", version: getPackageVersion() },
+    generatedAt: new Date().toISOString(),
+    repository: {
+      name: repoName || "unknown",
+      path: repositories.length === 1 ? repositories[0].path : null,
+    },
+    filters: {
+      year: options.year || null,
+      since: options.since || null,
+      until: options.until || null,
+      allBranches: Boolean(options.allBranches),
+      sortBy: options.sortBy || "commits",
+      bots: options.bots || "include",
+      author: options.author || null,
+      tz: options.tz || "author",
+      at: options.at || null,
+      maxCommitSize: options.maxCommitSize || null,
+      excludeGeneratedCommits: Boolean(options.excludeGeneratedCommits),
+    },
+    errors: errors.map(({ section, message }) => ({ section, message })),
+    stats,
+  };
+}
+
+/**
+ * Write the JSON report to a file, or to stdout when no file is given
+ * @param {Object} report - The report document
+ * @param {string|null} outputFile - Destination path
+ */
+export function writeJsonReport(report, outputFile = null) {
+  const json = JSON.stringify(report, null, 2) + "\n";
+  if (outputFile) {
+    writeFileSync(outputFile, json);
+  } else {
+    process.stdout.write(json);
+  }
+}
@@ -0,0 +1,472 @@
+import {
+  execCommand,
+  streamCommand,
+  getDateFilter,
+  getZonedTime,
+} from "./utils.js";
+import { resolveIdentities } from "./identity.js";
+
+const RECORD_SEPARATOR = "\x1e";
+const FIELD_SEPARATOR = "\x1f";
+
+// hash, parents, author name, author email (both mailmap-aware), author date,
+// committer email, committer date, subject
+const LOG_FORMAT = ["%H", "%P", "%aN", "%aE", "%aI", "%cE", "%cI", "%s"].join(
+  "%x1f"
+);
+
+/**
+ * Parse a commit header line produced by LOG_FORMAT
+ * @param {string} line - The header line, without the record separator
+ * @returns {Object} - Commit model without file changes
+ */
+function parseCommitHeader(line) {
+  const [
+    hash,
+    parents,
+    authorName,
+    authorEmail,
+    date,
+    committerEmail,
+    committerDate,
+    ...subject
+  ] = line.split(FIELD_SEPARATOR);
+  return {
+    hash,
+    parents: parents ? parents.split(" ") : [],
+    authorName,
+    authorEmail,
+    date,
+    day: date.slice(0, 10),
+    // The author's UTC offset, e.g. "+02:00"
+    offset: date.endsWith("Z") ? "+00:00" : date.slice(-6),
+    committerEmail,
+    committerDate,
+    subject: subject.join(FIELD_SEPARATOR),
+    // Only read for merge commits
+    body: "",
+    files: [],
+    insertions: 0,
+    deletions: 0,
+  };
+}
+
+/**
+ * Split a numstat path that records a rename ("dir/{old => new}/file" or
+ * "old => new") into its old and new paths
+ * @param {string} path - The numstat path
+ * @returns {{path: string, oldPath: string|null}} - New and old paths
+ */
+export function parseRenamePath(path) {
+  const braced = path.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+  if (braced) {
+    const [, prefix, from, to, suffix] = braced;
+    const join = (middle) =>
+      `${prefix}${middle}${suffix}`.replace(/\/\//g, "/");
+    return { path: join(to), oldPath: join(from) };
+  }
+
+  const plain = path.match(/^(.*) => (.*)$/);
+  if (plain) return { path: plain[2], oldPath: plain[1] };
+
+  return { path, oldPath: null };
+}
+
+/**
+ * Parse a --numstat line into a file change
+ * @param {string} line - The numstat line ("added<TAB>deleted<TAB>path")
+ * @returns {Object|null} - File change, or null if the line is not numstat
+ */
+function parseNumstatLine(line) {
+  const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+  if (!match) return null;
+
+  const binary = match[1] === "-";
+  return {
+    ...parseRenamePath(match[3]),
+    additions: binary ? 0 : parseInt(match[1]),
+    deletions: binary ? 0 : parseInt(match[2]),
+    binary,
+  };
+}
+
+/**
+ * Get the renames made after the end of the date range, newest first, so
+ * files renamed since can still be followed to their current path
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {Object} options - Date filter options (year, since, until)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Promise<Array>} - `{ path, oldPath }` per rename
+ */
+async function readLaterRenames(repoPath, options, verbose) {
+  const end = options.year ? `${options.year}-12-31` : options.until;
+  if (!end) return [];
+
+  const renames = [];
+  await streamCommand(
+    `git -c core.quotepath=off log --all --numstat -M --diff-filter=R --format="%x1e" --since="${end} 23:59:59"`,
+    (line) => {
+      const change = parseNumstatLine(line);
+      if (change && change.oldPath) renames.push(change);
+    },
+    verbose,
+    repoPath
+  );
+  return renames;
+}
+
+/**
+ * Set the current path of every file change, following the renames made
+ * after it. Commits are walked newest first, so a path that was renamed and
+ * later reused for another file is told apart.
+ * @param {Array} loaded - Commits, newest first as read from git log
+ * @param {Array} laterRenames - Renames made after the loaded commits
+ */
+function followRenames(loaded, laterRenames) {
+  const renamedTo = new Map();
+  const rename = ({ path, oldPath }) =>
+    renamedTo.set(oldPath, renamedTo.get(path) || path);
+
+  laterRenames.forEach(rename);
+  loaded.forEach((commit) => {
+    commit.files.forEach((change) => {
+      change.currentPath = renamedTo.get(change.path) || change.path;
+    });
+    commit.files.filter((change) => change.oldPath).forEach(rename);
+  });
+}
+
+/**
+ * Get all branch tips (local and remote)
+ * @param {boolean} verbose - Whether to log debug info
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @returns {Array} - Branch refs
+ */
+function getBranchRefs(verbose = false, repoPath = undefined) {
+  const output = execCommand(
+    "git for-each-ref --format='%(refname)|%(refname:short)|%(objectname)|%(committerdate:iso)|%(authorname)' refs/heads refs/remotes",
+    verbose,
+    repoPath
+  );
+
+  if (!output) return [];
+
+  return output
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const [refName, shortName, hash, lastCommitDate, lastAuthor] =
+        line.split("|");
+      return { refName, shortName, hash, lastCommitDate, lastAuthor };
+    })
+    .filter((ref) => !ref.refName.endsWith("/HEAD"));
+}
+
+/**
+ * Read the parents of every commit in the repository, whatever the date
+ * filter, so reachability can be followed through commits outside of it
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Promise<Map>} - Parent hashes by commit hash
+ */
+async function readAncestry(repoPath, verbose) {
+  const ancestry = new Map();
+  await streamCommand(
+    "git rev-list --all --parents",
+    (line) => {
+      const [hash, ...parents] = line.split(" ");
+      if (hash) ancestry.set(hash, parents);
+    },
+    verbose,
+    repoPath
+  );
+  return ancestry;
+}
+
+/**
+ * Collect the hashes reachable from a commit
+ * @param {Map} ancestry - Parent hashes by commit hash, from the whole
+ *   repository rather than only the date range
+ * @param {string} tip - Starting commit hash
+ * @returns {Set<string>} - Reachable commit hashes
+ */
+export function getReachableCommits(ancestry, tip) {
+  const reachable = new Set();
+  const stack = tip ? [tip] : [];
+
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    if (reachable.has(hash)) continue;
+    const parents = ancestry.get(hash);
+    if (!parents) continue;
+    reachable.add(hash);
+    stack.push(...parents);
+  }
+
+  return reachable;
+}
+
+/**
+ * Count the commits reachable from each of many tips in one pass over the
+ * graph: commits are visited children first, and each one passes the set of
+ * tips that reach it on to its parents. Most commits are reached by the same
+ * few sets, so the sets are interned as bitsets and their unions memoized.
+ * @param {Map} ancestry - Parent hashes by commit hash
+ * @param {Array<string>} tips - Commit hash of each tip
+ * @param {Set<string>} counted - Commits to count
+ * @returns {Array<number>} - Number of counted commits reachable from each tip
+ */
+export function countReachableCommits(ancestry, tips, counted) {
+  const words = Math.max(1, Math.ceil(tips.length / 32));
+  const sets = [];
+  const setIds = new Map();
+  const intern = (bits) => {
+    const key = bits.join();
+    if (!setIds.has(key)) {
+      setIds.set(key, sets.length);
+      sets.push(bits);
+    }
+    return setIds.get(key);
+  };
+  const empty = intern(new Uint32Array(words));
+
+  const unions = new Map();
+  const union = (a, b) => {
+    if (a === b || b === empty) return a;
+    if (a === empty) return b;
+    const key = a < b ? `${a},${b}` : `${b},${a}`;
+    if (!unions.has(key)) {
+      unions.set(
+        key,
+        intern(sets[a].map((word, index) => word | sets[b][index]))
+      );
+    }
+    return unions.get(key);
+  };
+
+  // Tips that point at each commit
+  const reachedBy = new Map();
+  tips.forEach((tip, index) => {
+    if (!ancestry.has(tip)) return;
+    const bits = new Uint32Array(words);
+    bits[index >>> 5] = 1 << (index & 31);
+    reachedBy.set(tip, union(reachedBy.get(tip) || empty, intern(bits)));
+  });
+
+  // Children of each commit still to visit
+  const pending = new Map();
+  ancestry.forEach((parents) =>
+    parents.forEach((parent) => {
+      if (ancestry.has(parent)) {
+        pending.set(parent, (pending.get(parent) || 0) + 1);
+      }
+    })
+  );
+
+  const countsBySet = new Map();
+  const queue = [...ancestry.keys()].filter((hash) => !pending.has(hash));
+  while (queue.length > 0) {
+    const hash = queue.pop();
+    const id = reachedBy.get(hash) || empty;
+    reachedBy.delete(hash);
+    if (counted.has(hash)) {
+      countsBySet.set(id, (countsBySet.get(id) || 0) + 1);
+    }
+    ancestry.get(hash).forEach((parent) => {
+      if (!ancestry.has(parent)) return;
+      reachedBy.set(parent, union(reachedBy.get(parent) || empty, id));
+      const remaining = pending.get(parent) - 1;
+      pending.set(parent, remaining);
+      if (remaining === 0) queue.push(parent);
+    });
+  }
+
+  const counts = new Array(tips.length).fill(0);
+  countsBySet.forEach((count, id) =>
+    sets[id].forEach((word, index) => {
+      for (let bit = 0; bit < 32; bit++) {
+        if ((word >>> bit) & 1) counts[index * 32 + bit] += count;
+      }
+    })
+  );
+  return counts;
+}
+
+/**
+ * Apply the report's commit filters
+ * @param {Array} commits - Commits with resolved identities
+ * @param {Object} options - Filter options (bots: include, exclude or only)
+ * @returns {Array} - Commits that pass every filter
+ */
+export function filterCommits(commits, options = {}) {
+  return commits.filter((commit) => {
+    if (options.bots === "exclude" && commit.isBot) return false;
+    if (options.bots === "only" && !commit.isBot) return false;
+    return true;
+  });
+}
+
+/**
+ * Read the commits and branch refs of one repository with a single streamed
+ * `git log --numstat` pass, plus the bodies of merge commits and, for a
+ * range that ends in the past, the renames made since
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {Object} options - Date filter options (year, since, until)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Promise<Object>} - `{ loaded, ancestry, refs, head }`
+ */
+async function readRepository(repoPath, options, verbose) {
+  const dateFilter = getDateFilter(options);
+  const loaded = [];
+  let current = null;
+
+  await streamCommand(
+    `git -c core.quotepath=off log --all --numstat -M --format="%x1e${LOG_FORMAT}" ${dateFilter}`,
+    (line) => {
+      if (line.startsWith(RECORD_SEPARATOR)) {
+        current = parseCommitHeader(line.slice(1));
+        loaded.push(current);
+        return;
+      }
+
+      const change = current && parseNumstatLine(line);
+      if (change) {
+        current.files.push(change);
+        current.insertions += change.additions;
+        current.deletions += change.deletions;
+      }
+    },
+    verbose,
+    repoPath
+  );
+
+  // Merge request references live in the body of merge commits (GitLab)
+  const bodies = execCommand(
+    `git log --all --merges --format="%x1e%H%x1f%b" ${dateFilter}`,
+    verbose,
+    repoPath
+  );
+  if (bodies) {
+    const byHash = new Map(loaded.map((commit) => [commit.hash, commit]));
+    bodies
+      .split(RECORD_SEPARATOR)
+      .filter(Boolean)
+      .forEach((record) => {
+        const [hash, body] = record.split(FIELD_SEPARATOR);
+        const commit = byHash.get(hash);
+        if (commit) commit.body = body.trim();
+      });
+  }
+
+  followRenames(loaded, await readLaterRenames(repoPath, options, verbose));
+
+  // Without a date filter every commit is loaded and carries its parents
+  const ancestry = dateFilter
+    ? await readAncestry(repoPath, verbose)
+    : new Map(loaded.map((commit) => [commit.hash, commit.parents]));
+
+  const refs = getBranchRefs(verbose, repoPath);
+  const head = execCommand("git rev-parse --verify -q HEAD", verbose, repoPath);
+
+  return { loaded, ancestry, refs, head };
+}
+
+/**
+ * Build the history model from the commits read from one or more
+ * repositories. Identities are resolved across all of them, so a person is
+ * counted once however many repositories they committed to.
+ * @param {Array} sources - `{ repository, loaded, ancestry, refs, head }` per
+ *   repository
+ * @param {Object} options - Filter options (allBranches, bots, author), the
+ *   time zone (tz) and the project config from loadConfig
+ * @returns {Object} - Commit history model
+ */
+function buildHistory(sources, options) {
+  const isMulti = sources.length > 1;
+
+  // Days, hours and weekdays follow the --tz time zone
+  sources.forEach(({ repository, loaded }) => {
+    loaded.forEach((commit) => {
+      commit.repository = repository.name;
+      Object.assign(commit, getZonedTime(commit.date, options.tz));
+    });
+  });
+  const loaded = sources.flatMap((source) => source.loaded);
+  const resolveAuthor = resolveIdentities(loaded, options.config);
+
+  // A personal report keeps only the commits of the requested person
+  let author = null;
+  if (options.author) {
+    const key = resolveAuthor(options.author);
+    if (!key) {
+      throw new Error(
+        `No commits by "${options.author}" found in the selected range.`
+      );
+    }
+    const { authorName } = loaded.find((commit) => commit.authorKey === key);
+    author = { key, name: authorName };
+  }
+  const byAuthor = (list) =>
+    author ? list.filter((commit) => commit.authorKey === author.key) : list;
+
+  const graph = new Map(loaded.map((commit) => [commit.hash, commit]));
+
+  // Parents of every commit, including those outside the date range
+  const ancestry = new Map(sources.flatMap((source) => [...source.ancestry]));
+
+  // Branch names are only unique within a repository
+  const refs = sources.flatMap(({ repository, refs }) =>
+    isMulti
+      ? refs.map((ref) => ({
+          ...ref,
+          shortName: `${repository.name}/${ref.shortName}`,
+        }))
+      : refs
+  );
+
+  // Commits from every branch, used for per-branch statistics
+  const allCommits = filterCommits(loaded, options);
+
+  // Commits in scope for the report, by everyone
+  let repoCommits = allCommits;
+  if (!options.allBranches) {
+    const reachable = new Set();
+    sources.forEach(({ head }) =>
+      getReachableCommits(ancestry, head).forEach((hash) => reachable.add(hash))
+    );
+    repoCommits = allCommits.filter((commit) => reachable.has(commit.hash));
+  }
+
+  return {
+    commits: byAuthor(repoCommits),
+    allCommits: byAuthor(allCommits),
+    repoCommits,
+    author,
+    graph,
+    ancestry,
+    refs,
+    head: isMulti ? null : sources[0].head,
+    repositories: sources.map((source) => source.repository),
+  };
+}
+
+/**
+ * Load the commit history of every analyzed repository, one repository at a
+ * time. Every history-based statistic is derived from the returned model.
+ * @param {Object} options - Repositories (`{ name, path }` each), filter
+ *   options (year, since, until, allBranches, bots, author), the time zone
+ *   (tz) and the project config from loadConfig
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Promise<Object>} - Commit history model
+ */
+export async function loadCommitHistory(options = {}, verbose = false) {
+  const repositories = options.repositories || [{ name: null, path: "." }];
+  const sources = [];
+
+  for (const repository of repositories) {
+    const source = await readRepository(repository.path, options, verbose);
+    sources.push({ repository, ...source });
+  }
+
+  return buildHistory(sources, options);
+}
@@ -0,0 +1,180 @@
+import {
+  classifyHistoryFiles,
+  countBufferLines,
+  hasGeneratedMarker,
+  isCountedLanguage,
+} from "./languages.js";
+import { listTreeFiles, readBlobs } from "./utils.js";
+
+// Periods each file's change history is split into for its sparkline
+const HISTORY_BUCKETS = 12;
+
+// Hotspot score components, each scaled against the highest value
+const SCORE_FIELDS = ["changes", "linesChanged", "size", "authors"];
+
+/**
+ * Count the lines of files in the HEAD tree, as the line statistics do
+ * @param {string} repoPath - Repository root
+ * @param {Set<string>} paths - Paths to count
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Map} - Number of lines by path, for the paths that exist at HEAD
+ *   and don't say they were generated
+ */
+function readCurrentSizes(repoPath, paths, verbose) {
+  const sizes = new Map();
+  readBlobs(
+    listTreeFiles("HEAD", verbose, repoPath).filter(({ path }) =>
+      paths.has(path)
+    ),
+    ({ path }, buffer) => {
+      if (hasGeneratedMarker(buffer.toString("utf8"))) return;
+      sizes.set(path, countBufferLines(buffer));
+    },
+    verbose,
+    repoPath
+  );
+  return sizes;
+}
+
+/**
+ * Score areas by scaling each component against the highest area and
+ * averaging them
+ * @param {Array} areas - Areas with changes, linesChanged, size and authors
+ * @returns {Array} - The areas with a 0-100 `score`, highest first
+ */
+function scoreAreas(areas) {
+  const highest = Object.fromEntries(
+    SCORE_FIELDS.map((field) => [
+      field,
+      areas.reduce((max, area) => Math.max(max, area[field]), 0),
+    ])
+  );
+  return areas
+    .map((area) => {
+      const scaled = SCORE_FIELDS.map((field) =>
+        highest[field] > 0 ? area[field] / highest[field] : 0
+      );
+      const average =
+        scaled.reduce((sum, value) => sum + value, 0) / SCORE_FIELDS.length;
+      return { ...area, score: Math.round(average * 1000) / 10 };
+    })
+    .sort((a, b) => b.score - a.score || b.changes - a.changes);
+}
+
+/**
+ * Get code hotspots: files that change often, change a lot, are large and
+ * are worked on by many people, followed across renames. Only code and
+ * markup files that exist at HEAD count; lockfiles and other generated,
+ * vendored and binary files, data and prose (such as CHANGELOG.md) and bot
+ * commits are left out.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Object} - `{ files, directories }`, ranked by hotspot score;
+ *   each file has its `history` of changes over HISTORY_BUCKETS equal
+ *   periods of the analyzed range
+ */
+export function getHotspots(history, verbose = false) {
+  const isMulti = history.repositories.length > 1;
+  const commits = history.commits.filter((commit) => !commit.isBot);
+  if (commits.length === 0) return { files: [], directories: [] };
+
+  const classified = classifyHistoryFiles({ ...history, commits }, verbose);
+
+  const days = commits.map((commit) => Date.parse(commit.day));
+  const first = days.reduce((min, day) => Math.min(min, day));
+  const span = days.reduce((max, day) => Math.max(max, day)) - first + 1;
+  const bucketOf = (day) =>
+    Math.min(
+      HISTORY_BUCKETS - 1,
+      Math.floor(((Date.parse(day) - first) / span) * HISTORY_BUCKETS)
+    );
+
+  const files = new Map();
+  commits.forEach((commit) => {
+    commit.files.forEach(({ path, currentPath, additions, deletions }) => {
+      const { language, exclusion } = classified.get(
+        `${commit.repository}/${path}`
+      );
+      if (exclusion || !isCountedLanguage(language)) return;
+
+      const key = `${commit.repository}/${currentPath}`;
+      const file = files.get(key) || {
+        repository: commit.repository,
+        path: currentPath,
+        commits: new Set(),
+        linesChanged: 0,
+        authors: new Set(),
+        history: new Array(HISTORY_BUCKETS).fill(0),
+      };
+      file.commits.add(commit.hash);
+      file.linesChanged += additions + deletions;
+      file.authors.add(commit.authorKey);
+      file.history[bucketOf(commit.day)]++;
+      files.set(key, file);
+    });
+  });
+
+  const sizes = new Map(
+    history.repositories.map((repository) => {
+      const paths = new Set(
+        [...files.values()]
+          .filter((file) => file.repository === repository.name)
+          .map((file) => file.path)
+      );
+      return [
+        repository.name,
+        readCurrentSizes(repository.path, paths, verbose),
+      ];
+    })
+  );
+  const current = [...files.values()]
+    .map((file) => ({
+      ...file,
+      size: sizes.get(file.repository).get(file.path),
+    }))
+    .filter(({ size }) => size !== undefined);
+
+  const directories = new Map();
+  current.forEach((file) => {
+    const segments = file.path.split("/");
+    const name = segments.length > 1 ? segments[0] : "(root)";
+    const key = isMulti ? `${file.repository}/${name}` : name;
+    const directory = directories.get(key) || {
+      directory: key,
+      files: 0,
+      commits: new Set(),
+      linesChanged: 0,
+      size: 0,
+      authors: new Set(),
+    };
+    directory.files++;
+    file.commits.forEach((hash) => directory.commits.add(hash));
+    directory.linesChanged += file.linesChanged;
+    directory.size += file.size;
+    file.authors.forEach((author) => directory.authors.add(author));
+    directories.set(key, directory);
+  });
+
+  return {
+    files: scoreAreas(
+      current.map((file) => ({
+        file: isMulti ? `${file.repository}/${file.path}` : file.path,
+        changes: file.commits.size,
+        linesChanged: file.linesChanged,
+        size: file.size,
+        authors: file.authors.size,
+        history: file.history,
+      }))
+    ).slice(0, 20),
+    directories: scoreAreas(
+      [...directories.values()].map((directory) => ({
+        directory: directory.directory,
+        files: directory.files,
+        changes: directory.commits.size,
+        linesChanged: directory.linesChanged,
+        size: directory.size,
+        authors: directory.authors.size,
+      }))
+    ).slice(0, 10),
+  };
+}
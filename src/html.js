@@ -0,0 +1,486 @@
+import { writeFileSync } from "fs";
+import { formatDuration } from "./utils.js";
+import { getFunFacts } from "./display.js";
+
+const PALETTE = [
+  "#1db954",
+  "#f573a0",
+  "#ffc864",
+  "#509bf5",
+  "#af2896",
+  "#ff6437",
+  "#8d67ab",
+  "#27856a",
+];
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - The value to escape
+ * @returns {string} - The escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Build an HTML/SVG element string
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attribute names and values
+ * @param {string} children - Already escaped inner markup
+ * @returns {string} - Element markup
+ */
+function element(tag, attributes = {}, children = null) {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join("");
+  return children === null
+    ? `<${tag}${attrs} />`
+    : `<${tag}${attrs}>${children}</${tag}>`;
+}
+
+/**
+ * Render a horizontal bar chart as inline SVG
+ * @param {Array<{label: string, value: number}>} items - Bars to draw
+ * @param {string} unit - Unit shown after each value
+ * @returns {string} - SVG markup
+ */
+function renderBarChart(items, unit = "") {
+  if (items.length === 0) return "";
+
+  const barHeight = 28;
+  const gap = 10;
+  const labelWidth = 180;
+  const chartWidth = 400;
+  const max = Math.max(...items.map((item) => item.value), 1);
+  const height = items.length * (barHeight + gap);
+
+  const bars = items.map((item, index) => {
+    const y = index * (barHeight + gap);
+    const textY = y + barHeight / 2 + 5;
+    const width = Math.max(2, (item.value / max) * chartWidth);
+    return [
+      element(
+        "text",
+        { x: labelWidth - 10, y: textY, "text-anchor": "end" },
+        escapeHtml(item.label)
+      ),
+      element("rect", {
+        x: labelWidth,
+        y,
+        width: width.toFixed(1),
+        height: barHeight,
+        rx: 6,
+        fill: PALETTE[index % PALETTE.length],
+      }),
+      element(
+        "text",
+        { x: labelWidth + width + 8, y: textY, class: "value" },
+        escapeHtml(item.value.toLocaleString() + unit)
+      ),
+    ].join("");
+  });
+
+  return element(
+    "svg",
+    {
+      viewBox: `0 0 ${labelWidth + chartWidth + 120} ${height}`,
+      role: "img",
+      class: "chart",
+    },
+    bars.join("")
+  );
+}
+
+/**
+ * Render a vertical column chart as inline SVG
+ * @param {Array<{label: string, value: number}>} items - Columns to draw
+ * @returns {string} - SVG markup
+ */
+function renderColumnChart(items) {
+  if (items.length === 0) return "";
+
+  const columnWidth = 48;
+  const gap = 16;
+  const chartHeight = 160;
+  const max = Math.max(...items.map((item) => item.value), 1);
+  const width = items.length * (columnWidth + gap);
+
+  const columns = items.map((item, index) => {
+    const x = index * (columnWidth + gap);
+    const center = x + columnWidth / 2;
+    const height = Math.max(2, (item.value / max) * chartHeight);
+    const y = chartHeight - height + 20;
+    return [
+      element("rect", {
+        x,
+        y: y.toFixed(1),
+        width: columnWidth,
+        height: height.toFixed(1),
+        rx: 6,
+        fill: PALETTE[0],
+      }),
+      element(
+        "text",
+        { x: center, y: y - 6, "text-anchor": "middle", class: "value" },
+        escapeHtml(item.value)
+      ),
+      element(
+        "text",
+        { x: center, y: chartHeight + 40, "text-anchor": "middle" },
+        escapeHtml(item.label)
+      ),
+    ].join("");
+  });
+
+  return element(
+    "svg",
+    {
+      viewBox: `0 0 ${width} ${chartHeight + 50}`,
+      role: "img",
+      class: "chart",
+    },
+    columns.join("")
+  );
+}
+
+/**
+ * Render a donut chart with a legend as inline SVG
+ * @param {Array<{label: string, value: number}>} items - Slices to draw
+ * @returns {string} - SVG markup
+ */
+function renderDonutChart(items) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return "";
+
+  const radius = 80;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  const slices = items.map((item, index) => {
+    const length = (item.value / total) * circumference;
+    const slice = element("circle", {
+      r: radius,
+      cx: 110,
+      cy: 110,
+      fill: "none",
+      stroke: PALETTE[index % PALETTE.length],
+      "stroke-width": 40,
+      "stroke-dasharray": `${length.toFixed(2)} ${(
+        circumference - length
+      ).toFixed(2)}`,
+      "stroke-dashoffset": (-offset).toFixed(2),
+      transform: "rotate(-90 110 110)",
+    });
+    offset += length;
+    return slice;
+  });
+
+  const legend = items.map((item, index) => {
+    const y = 30 + index * 28;
+    const percentage = ((item.value / total) * 100).toFixed(1);
+    return [
+      element("rect", {
+        x: 250,
+        y: y - 12,
+        width: 16,
+        height: 16,
+        rx: 4,
+        fill: PALETTE[index % PALETTE.length],
+      }),
+      element(
+        "text",
+        { x: 276, y: y + 1 },
+        `${escapeHtml(item.label)} ` +
+          element("tspan", { class: "value" }, `${percentage}%`)
+      ),
+    ].join("");
+  });
+
+  const height = Math.max(220, 40 + items.length * 28);
+  return element(
+    "svg",
+    { viewBox: `0 0 520 ${height}`, role: "img", class: "chart" },
+    slices.join("") + legend.join("")
+  );
+}
+
+/**
+ * Render a big-number tile
+ * @param {string} label - Tile label
+ * @param {*} value - Tile value
+ * @returns {string} - HTML markup
+ */
+function renderTile(label, value) {
+  return element(
+    "div",
+    { class: "tile" },
+    element("div", { class: "tile-value" }, escapeHtml(value)) +
+      element("div", { class: "tile-label" }, escapeHtml(label))
+  );
+}
+
+/**
+ * Render a slide-style card
+ * @param {string} kicker - Small heading above the title
+ * @param {string} title - Card title
+ * @param {string} body - Card body markup
+ * @param {number} index - Card position, used to pick a background
+ * @returns {string} - HTML markup
+ */
+function renderCard(kicker, title, body, index) {
+  return `
+  <section class="card card-${index % 5}">
+    <div class="kicker">${escapeHtml(kicker)}</div>
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+  </section>`;
+}
+
+/**
+ * Describe the analyzed period for the report heading
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} - Human readable period
+ */
+function describePeriod(options = {}) {
+  if (options.year) return `${options.year} Wrapped`;
+  if (options.since || options.until) {
+    return `${options.since || "the beginning"} – ${options.until || "today"}`;
+  }
+  return "All-time Wrapped";
+}
+
+/**
+ * Generate a self-contained HTML "Wrapped" report
+ * @param {Object} allStats - All collected statistics
+ * @param {string} repoName - Repository name
+ * @param {Object} options - Parsed CLI options
+ * @returns {string} - The HTML document
+ */
+export function generateHtmlReport(allStats, repoName, options = {}) {
+  const basic = allStats.basicStats || {};
+  const lineStats = allStats.lineStats || { totalLOC: 0 };
+  const contributors = allStats.contributors || [];
+  const languageStats = allStats.languageStats || { languages: [] };
+  const streakStats = allStats.streakStats || {};
+  const timeStats = allStats.timeStats || {};
+  const title = repoName && repoName !== "unknown" ? repoName : "Repository";
+  const cards = [];
+
+  // Overview
+  const age =
+    basic.firstCommitDate && basic.lastCommitDate
+      ? formatDuration(
+          new Date(basic.firstCommitDate),
+          new Date(basic.lastCommitDate)
+        )
+      : "";
+  cards.push(
+    renderCard(
+      describePeriod(options),
+      title,
+      `<div class="tiles">
+      ${renderTile("Commits", (basic.numCommits || 0).toLocaleString())}
+      ${renderTile("Contributors", basic.numContributors || 0)}
+      ${renderTile("Branches", basic.numBranches || 0)}
+      ${renderTile("Pull Requests", basic.numPullRequests || 0)}
+      ${renderTile("Lines of Code", (lineStats.totalLOC || 0).toLocaleString())}
+    </div>
+    ${age ? `<p class="note">${escapeHtml(age)} of history</p>` : ""}`,
+      cards.length
+    )
+  );
+
+  // Personal wrapped
+  const personal = allStats.personalStats;
+  if (personal) {
+    cards.push(
+      renderCard(
+        `${personal.name}'s wrapped`,
+        `You made ${personal.commitShare.toFixed(0)}% of the commits`,
+        `<div class="tiles">
+      ${renderTile("Your Commits", personal.commits.toLocaleString())}
+      ${renderTile("Lines Added", personal.additions.toLocaleString())}
+      ${renderTile("Share of Lines", `${personal.additionsShare.toFixed(0)}%`)}
+      ${renderTile(
+        "Rank",
+        `#${personal.rank} of ${personal.totalContributors}`
+      )}
+    </div>`,
+        cards.length
+      )
+    );
+  }
+
+  // Repositories of a multi-repository report
+  const repositories = allStats.repositories || [];
+  if (repositories.length > 1) {
+    cards.push(
+      renderCard(
+        `${repositories.length} repositories`,
+        `${repositories[0].name} kept you busiest`,
+        renderBarChart(
+          repositories
+            .slice(0, 10)
+            .map(({ name, commits }) => ({ label: name, value: commits })),
+          " commits"
+        ),
+        cards.length
+      )
+    );
+  }
+
+  // Contributors
+  if (contributors.length > 0) {
+    const top = contributors[0];
+    cards.push(
+      renderCard(
+        "Top contributors",
+        `${top.name} led the way`,
+        renderBarChart(
+          contributors
+            .slice(0, 10)
+            .map(({ name, commits }) => ({ label: name, value: commits })),
+          " commits"
+        ),
+        cards.length
+      )
+    );
+  }
+
+  // Languages, by lines of code
+  const counted = languageStats.languages.filter(({ share }) => share > 0);
+  if (counted.length > 0) {
+    const top = counted.slice(0, 6);
+    const rest = counted.slice(6).reduce((sum, { code }) => sum + code, 0);
+    const slices = top.map(({ language, code }) => ({
+      label: language,
+      value: code,
+    }));
+    if (rest > 0) slices.push({ label: "Other", value: rest });
+    cards.push(
+      renderCard(
+        "Languages",
+        `You spoke ${top[0].language} the most`,
+        renderDonutChart(slices),
+        cards.length
+      )
+    );
+  }
+
+  // Streaks
+  if (streakStats.totalActiveDays) {
+    const weekdays = [
+      "Monday",
+      "Tuesday",
+      "Wednesday",
+      "Thursday",
+      "Friday",
+      "Saturday",
+      "Sunday",
+    ];
+    const weekdayCommits = timeStats.weekdayCommits || {};
+    const range =
+      streakStats.longestStreakStart && streakStats.longestStreakEnd
+        ? `<p class="note">Longest run: ${escapeHtml(
+            streakStats.longestStreakStart
+          )} to ${escapeHtml(streakStats.longestStreakEnd)}</p>`
+        : "";
+    const milestones = (streakStats.streakMilestones || [])
+      .map((milestone) => `<span class="badge">${escapeHtml(milestone)}</span>`)
+      .join("");
+    cards.push(
+      renderCard(
+        "Streaks",
+        `${streakStats.longestStreak} days in a row`,
+        `<div class="tiles">
+      ${renderTile("Longest Streak", `${streakStats.longestStreak} days`)}
+      ${renderTile("Current Streak", `${streakStats.currentStreak} days`)}
+      ${renderTile("Active Days", streakStats.totalActiveDays)}
+    </div>
+    ${range}
+    ${milestones ? `<div class="badges">${milestones}</div>` : ""}
+    ${renderColumnChart(
+      weekdays.map((day) => ({
+        label: day.slice(0, 3),
+        value: weekdayCommits[day] || 0,
+      }))
+    )}`,
+        cards.length
+      )
+    );
+  }
+
+  // Fun facts
+  const facts = getFunFacts(allStats, options);
+  if (facts.length > 0) {
+    cards.push(
+      renderCard(
+        "Fun facts",
+        "The highlights",
+        `<ul class="facts">${facts
+          .map((fact) => `<li>${escapeHtml(fact)}</li>`)
+          .join("")}</ul>`,
+        cards.length
+      )
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(title)} · Git Wrapped</title>
+<style>
+  * { box-sizing: border-box; }
+  html { scroll-snap-type: y mandatory; }
+  body { margin: 0; background: #121212; color: #fff;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+  .card { min-height: 100vh; scroll-snap-align: start; padding: 8vh 8vw;
+    display: flex; flex-direction: column; justify-content: center; }
+  .card-0 { background: linear-gradient(135deg, #1db954, #191414 70%); }
+  .card-1 { background: linear-gradient(135deg, #af2896, #191414 70%); }
+  .card-2 { background: linear-gradient(135deg, #509bf5, #191414 70%); }
+  .card-3 { background: linear-gradient(135deg, #ff6437, #191414 70%); }
+  .card-4 { background: linear-gradient(135deg, #f573a0, #191414 70%); }
+  .kicker { text-transform: uppercase; letter-spacing: 0.2em; font-size: 0.9rem; opacity: 0.8; }
+  h2 { font-size: clamp(2rem, 6vw, 4.5rem); margin: 0.2em 0 0.6em; line-height: 1.05; }
+  .tiles { display: flex; flex-wrap: wrap; gap: 1.5rem; }
+  .tile { background: rgba(0, 0, 0, 0.35); border-radius: 16px; padding: 1.2rem 1.6rem; min-width: 10rem; }
+  .tile-value { font-size: 2.4rem; font-weight: 800; }
+  .tile-label { opacity: 0.8; }
+  .note { opacity: 0.8; font-size: 1.1rem; }
+  .badges { display: flex; gap: 0.6rem; flex-wrap: wrap; margin: 1rem 0; }
+  .badge { background: #ffc864; color: #191414; border-radius: 999px; padding: 0.3rem 0.9rem; font-weight: 700; }
+  .chart { width: 100%; max-width: 760px; margin-top: 1.5rem; }
+  .chart text { fill: #fff; font-size: 14px; }
+  .chart .value { font-weight: 700; }
+  .facts { font-size: clamp(1.2rem, 3vw, 2rem); line-height: 1.6; padding-left: 1.2em; }
+  footer { text-align: center; padding: 2rem; opacity: 0.6; }
+</style>
+</head>
+<body>
+${cards.join("\n")}
+<footer>Generated by gitwrapped on ${escapeHtml(
+    new Date().toISOString().split("T")[0]
+  )}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report to a file
+ * @param {Object} allStats - All collected statistics
+ * @param {string} repoName - Repository name
+ * @param {Object} options - Parsed CLI options
+ * @param {string} outputFile - Destination path
+ */
+export function writeHtmlReport(allStats, repoName, options, outputFile) {
+  writeFileSync(outputFile, generateHtmlReport(allStats, repoName, options));
+}
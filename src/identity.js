@@ -0,0 +1,256 @@
+import { existsSync, readFileSync } from "fs";
+import { join } from "path";
+import { execCommand } from "./utils.js";
+
+export const CONFIG_FILE = ".gitwrapped.json";
+
+// Authors matching any of these are treated as bots
+const DEFAULT_BOT_PATTERNS = [
+  /\[bot\]/i,
+  /^dependabot/i,
+  /^renovate/i,
+  /^github-actions/i,
+  /^greenkeeper/i,
+  /^snyk-bot/i,
+  /^semantic-release-bot/i,
+  /^allcontributors/i,
+];
+
+/**
+ * Check whether an author name or email looks like automation
+ * @param {string} name - The author name
+ * @param {string} email - The author email
+ * @param {Array<RegExp>} patterns - Extra patterns from the config
+ * @returns {boolean} - Whether the author is a bot
+ */
+export function isBotAuthor(name = "", email = "", patterns = []) {
+  const login = normalizeEmail(email).split("@")[0];
+  return [...DEFAULT_BOT_PATTERNS, ...patterns].some(
+    (pattern) =>
+      pattern.test(name) || pattern.test(email) || pattern.test(login)
+  );
+}
+
+/**
+ * Normalize an email address so variants of the same mailbox compare equal
+ * @param {string} email - The email address
+ * @returns {string} - The normalized email
+ */
+export function normalizeEmail(email = "") {
+  const normalized = email.trim().toLowerCase();
+  // GitHub noreply addresses may or may not carry the numeric user id
+  return normalized.replace(/^\d+\+(.+@users\.noreply\.github\.com)$/, "$1");
+}
+
+/**
+ * Normalize an author name for comparison
+ * @param {string} name - The author name
+ * @returns {string} - The normalized name
+ */
+function normalizeName(name = "") {
+  return name.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Get the identity key for an email or name entry from the config file
+ * @param {string} entry - An email address or author name
+ * @returns {string} - The identity key
+ */
+function entryKey(entry) {
+  return entry.includes("@")
+    ? `email:${normalizeEmail(entry)}`
+    : `name:${normalizeName(entry)}`;
+}
+
+/**
+ * Load the project-level gitwrapped config from the repository root
+ * @param {boolean} verbose - Whether to log debug info
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @returns {Object} - Config with `aliases`, `bots` and `botPatterns`
+ */
+export function loadConfig(verbose = false, repoPath = undefined) {
+  const root = execCommand("git rev-parse --show-toplevel", verbose, repoPath);
+  const configPath = join(root || ".", CONFIG_FILE);
+  const config = { aliases: {}, bots: [], botPatterns: [] };
+
+  if (!existsSync(configPath)) return config;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid ${CONFIG_FILE}: ${error.message}`);
+  }
+
+  if (parsed.aliases !== undefined) {
+    const valid =
+      parsed.aliases &&
+      typeof parsed.aliases === "object" &&
+      !Array.isArray(parsed.aliases) &&
+      Object.values(parsed.aliases).every(Array.isArray);
+    if (!valid) {
+      throw new Error(
+        `Invalid ${CONFIG_FILE}: "aliases" must map a name to a list of emails or names.`
+      );
+    }
+    config.aliases = parsed.aliases;
+  }
+
+  if (parsed.bots !== undefined) {
+    if (!Array.isArray(parsed.bots)) {
+      throw new Error(
+        `Invalid ${CONFIG_FILE}: "bots" must be a list of emails or names.`
+      );
+    }
+    config.bots = parsed.bots;
+  }
+
+  if (parsed.botPatterns !== undefined) {
+    if (!Array.isArray(parsed.botPatterns)) {
+      throw new Error(
+        `Invalid ${CONFIG_FILE}: "botPatterns" must be a list of regular expressions.`
+      );
+    }
+    config.botPatterns = parsed.botPatterns.map((pattern) => {
+      try {
+        return new RegExp(pattern, "i");
+      } catch (error) {
+        throw new Error(`Invalid ${CONFIG_FILE}: ${error.message}`);
+      }
+    });
+  }
+
+  return config;
+}
+
+/**
+ * Combine the configs of several repositories. Aliases for the same name
+ * are merged, so one person can be mapped in any of the repositories.
+ * @param {Array<Object>} configs - Configs from loadConfig
+ * @returns {Object} - The combined config
+ */
+export function mergeConfigs(configs) {
+  const merged = { aliases: {}, bots: [], botPatterns: [] };
+  configs.forEach((config) => {
+    Object.entries(config.aliases).forEach(([name, entries]) => {
+      merged.aliases[name] = [...(merged.aliases[name] || []), ...entries];
+    });
+    merged.bots.push(...config.bots);
+    merged.botPatterns.push(...config.botPatterns);
+  });
+  return merged;
+}
+
+/**
+ * Merge author identities across commits. Identities sharing a normalized
+ * email are treated as one person, as are identities listed under the same
+ * alias in the config; a shared name alone never merges two people, since
+ * generic names such as "root" or "Your Name" are used by many. Git has
+ * already applied .mailmap to the names and emails read by
+ * loadCommitHistory. A person is flagged as a bot when listed in the
+ * config's `bots` or when any of their identities matches a bot pattern.
+ * @param {Array} commits - Commits from the history model (updated in place)
+ * @param {Object} config - Config from loadConfig
+ * @returns {Function} - Maps an email or name to its person's identity key,
+ *   or null when nobody in the history used it; a name used by several
+ *   people maps to the one with the most commits under it
+ */
+export function resolveIdentities(
+  commits,
+  config = { aliases: {}, bots: [], botPatterns: [] }
+) {
+  const parent = new Map();
+
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key);
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(key, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  // Commits per email under each name, to find who used a name
+  const emailsByName = new Map();
+  commits.forEach((commit) => {
+    const name = `name:${normalizeName(commit.authorName)}`;
+    const email = `email:${normalizeEmail(commit.authorEmail)}`;
+    const emails = emailsByName.get(name) || new Map();
+    emails.set(email, (emails.get(email) || 0) + 1);
+    emailsByName.set(name, emails);
+  });
+
+  // Link every alias entry, and the alias name itself, to one person
+  const aliasNames = new Map();
+  Object.entries(config.aliases).forEach(([name, entries]) => {
+    const canonical = `name:${normalizeName(name)}`;
+    [name, ...entries].forEach((entry) => {
+      const key = entryKey(entry);
+      union(canonical, key);
+      (emailsByName.get(key) || new Map()).forEach((count, email) =>
+        union(canonical, email)
+      );
+    });
+    aliasNames.set(canonical, name);
+  });
+
+  // The people an email or name entry refers to, with their commit counts
+  const peopleFor = (entry) => {
+    const key = entryKey(entry);
+    const people = new Map();
+    if (key.startsWith("email:")) {
+      people.set(find(key), 1);
+    } else {
+      (emailsByName.get(key) || new Map()).forEach((count, email) => {
+        const person = find(email);
+        people.set(person, (people.get(person) || 0) + count);
+      });
+    }
+    return people;
+  };
+
+  const botKeys = new Set(
+    config.bots.flatMap((entry) => [...peopleFor(entry).keys()])
+  );
+  const displayNames = new Map();
+  aliasNames.forEach((name, key) => displayNames.set(find(key), name));
+
+  // Without an alias, a person is shown under the name they used most
+  const nameCounts = new Map();
+  commits.forEach((commit) => {
+    const key = find(`email:${normalizeEmail(commit.authorEmail)}`);
+    const counts = nameCounts.get(key) || {};
+    counts[commit.authorName] = (counts[commit.authorName] || 0) + 1;
+    nameCounts.set(key, counts);
+    commit.authorKey = key;
+
+    if (
+      isBotAuthor(commit.authorName, commit.authorEmail, config.botPatterns)
+    ) {
+      botKeys.add(key);
+    }
+  });
+  nameCounts.forEach((counts, key) => {
+    if (!displayNames.has(key)) {
+      const [name] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+      displayNames.set(key, name);
+    }
+  });
+
+  commits.forEach((commit) => {
+    commit.authorName = displayNames.get(commit.authorKey);
+    commit.isBot = botKeys.has(commit.authorKey);
+  });
+
+  const authorKeys = new Set(nameCounts.keys());
+  return (entry) => {
+    const [person] = [...peopleFor(entry)]
+      .filter(([key]) => authorKeys.has(key))
+      .sort((a, b) => b[1] - a[1]);
+    return person ? person[0] : null;
+  };
+}
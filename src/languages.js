@@ -0,0 +1,456 @@
+import { execCommand, extensionToLanguage, getFileExtension } from "./utils.js";
+
+// Files recognized by their name rather than their extension
+const FILENAME_LANGUAGES = {
+  dockerfile: "Dockerfile",
+  containerfile: "Dockerfile",
+  makefile: "Makefile",
+  gnumakefile: "Makefile",
+  "cmakelists.txt": "CMake",
+  rakefile: "Ruby",
+  gemfile: "Ruby",
+  podfile: "Ruby",
+  vagrantfile: "Ruby",
+  jenkinsfile: "Groovy",
+  ".bashrc": "Bash",
+  ".bash_profile": "Bash",
+  ".zshrc": "Zsh",
+  ".profile": "Shell",
+};
+
+// Interpreters named in a shebang line
+const INTERPRETER_LANGUAGES = {
+  node: "JavaScript",
+  nodejs: "JavaScript",
+  deno: "TypeScript",
+  bun: "JavaScript",
+  "ts-node": "TypeScript",
+  python: "Python",
+  sh: "Shell",
+  dash: "Shell",
+  bash: "Bash",
+  zsh: "Zsh",
+  fish: "Fish",
+  ruby: "Ruby",
+  perl: "Perl",
+  php: "PHP",
+  lua: "Lua",
+  rscript: "R",
+  elixir: "Elixir",
+};
+
+// Languages that describe data or documentation rather than code; they are
+// reported but left out of the language share, like GitHub's linguist does
+const LANGUAGE_TYPES = {
+  JSON: "data",
+  XML: "data",
+  YAML: "data",
+  TOML: "data",
+  CSV: "data",
+  SQL: "data",
+  Markdown: "prose",
+  Text: "prose",
+  reStructuredText: "prose",
+  HTML: "markup",
+  CSS: "markup",
+  SCSS: "markup",
+  Sass: "markup",
+  Less: "markup",
+  Vue: "markup",
+  Svelte: "markup",
+};
+
+const C_STYLE = { line: ["//"], block: [["/*", "*/"]] };
+const HASH = { line: ["#"], block: [] };
+const XML_STYLE = { line: [], block: [["<!--", "-->"]] };
+
+// Comment syntax used to split lines into code, comments and blanks
+const COMMENT_SYNTAX = {
+  JavaScript: C_STYLE,
+  TypeScript: C_STYLE,
+  Java: C_STYLE,
+  C: C_STYLE,
+  "C++": C_STYLE,
+  "C/C++ Header": C_STYLE,
+  "C++ Header": C_STYLE,
+  "C#": C_STYLE,
+  Go: C_STYLE,
+  Rust: C_STYLE,
+  Swift: C_STYLE,
+  Kotlin: C_STYLE,
+  Scala: C_STYLE,
+  Dart: C_STYLE,
+  Groovy: C_STYLE,
+  "Objective-C": C_STYLE,
+  "Objective-C++": C_STYLE,
+  SCSS: C_STYLE,
+  Less: C_STYLE,
+  Sass: C_STYLE,
+  PHP: { line: ["//", "#"], block: [["/*", "*/"]] },
+  CSS: { line: [], block: [["/*", "*/"]] },
+  Python: HASH,
+  Ruby: { line: ["#"], block: [["=begin", "=end"]] },
+  Shell: HASH,
+  Bash: HASH,
+  Zsh: HASH,
+  Fish: HASH,
+  Perl: HASH,
+  R: HASH,
+  Elixir: HASH,
+  YAML: HASH,
+  TOML: HASH,
+  Dockerfile: HASH,
+  Makefile: HASH,
+  CMake: HASH,
+  SQL: { line: ["--"], block: [["/*", "*/"]] },
+  Haskell: { line: ["--"], block: [["{-", "-}"]] },
+  Elm: { line: ["--"], block: [["{-", "-}"]] },
+  Lua: { line: ["--"], block: [["--[[", "]]"]] },
+  Erlang: { line: ["%"], block: [] },
+  Clojure: { line: [";"], block: [] },
+  OCaml: { line: [], block: [["(*", "*)"]] },
+  "Visual Basic": { line: ["'"], block: [] },
+  HTML: XML_STYLE,
+  XML: XML_STYLE,
+  Vue: XML_STYLE,
+  Svelte: XML_STYLE,
+  Markdown: XML_STYLE,
+};
+
+// Third-party code checked into the repository
+const VENDORED_PATTERNS = [
+  /(^|\/)node_modules\//,
+  /(^|\/)vendors?\//,
+  /(^|\/)third[_-]party\//,
+  /(^|\/)bower_components\//,
+  /(^|\/)\.yarn\//,
+  /(^|\/)Godeps\//,
+  /\.min\.(js|css)$/,
+];
+
+// Files written by tools rather than people
+const GENERATED_PATTERNS = [
+  /(^|\/)(package-lock|npm-shrinkwrap|composer)\.json$/,
+  /(^|\/)(yarn|Cargo|Gemfile|poetry|Pipfile|flake|bun)\.lock$/,
+  /(^|\/)pnpm-lock\.yaml$/,
+  /(^|\/)go\.sum$/,
+  /(^|\/)dist\//,
+  /\.(js|css)\.map$/,
+  /\.pb\.go$/,
+  /_pb2\.py$/,
+  /\.generated\.[^/]+$/,
+  /\.snap$/,
+];
+
+// Markers tools leave at the top of the files they generate
+const GENERATED_MARKER = /@generated|DO NOT EDIT|auto-generated|autogenerated/i;
+
+/**
+ * Detect the language of a file from its name, extension or shebang
+ * @param {string} path - The file path
+ * @param {string} firstLine - First line of the file, for the shebang
+ * @returns {string|null} - The language, or null when unknown
+ */
+export function detectLanguage(path, firstLine = "") {
+  const filename = path.split("/").pop().toLowerCase();
+  if (FILENAME_LANGUAGES[filename]) return FILENAME_LANGUAGES[filename];
+  if (filename.startsWith("dockerfile.")) return "Dockerfile";
+
+  const ext = getFileExtension(filename);
+  const byExtension = ext ? extensionToLanguage(ext, null) : null;
+  if (byExtension) return byExtension;
+
+  const shebang = firstLine.match(/^#!\s*(\S+)(.*)$/);
+  if (shebang) {
+    // "#!/usr/bin/env -S node --flags" names the interpreter after env
+    const words = [shebang[1], ...shebang[2].trim().split(/\s+/)];
+    let interpreter = words[0].split("/").pop();
+    if (interpreter === "env") {
+      interpreter = words
+        .slice(1)
+        .find((word) => word && !word.startsWith("-"));
+    }
+    const name = (interpreter || "").toLowerCase().replace(/[\d.]+$/, "");
+    return INTERPRETER_LANGUAGES[name] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Get the type of a language: programming, markup, data or prose
+ * @param {string} language - The language name
+ * @returns {string} - The language type
+ */
+export function getLanguageType(language) {
+  return LANGUAGE_TYPES[language] || "programming";
+}
+
+/**
+ * Check whether a language counts towards the language share
+ * @param {string} language - The language name
+ * @returns {boolean} - Whether the language is code or markup
+ */
+export function isCountedLanguage(language) {
+  const type = getLanguageType(language);
+  return type === "programming" || type === "markup";
+}
+
+/**
+ * Classify a path as vendored or generated from its location and name
+ * @param {string} path - The file path
+ * @returns {string|null} - "vendored", "generated" or null
+ */
+export function classifyPath(path) {
+  if (VENDORED_PATTERNS.some((pattern) => pattern.test(path))) {
+    return "vendored";
+  }
+  if (GENERATED_PATTERNS.some((pattern) => pattern.test(path))) {
+    return "generated";
+  }
+  return null;
+}
+
+/**
+ * Check whether file contents carry a generated-code marker near the top
+ * @param {string} content - The file contents
+ * @returns {boolean} - Whether the file says it was generated
+ */
+export function hasGeneratedMarker(content) {
+  return GENERATED_MARKER.test(content.split("\n", 5).join("\n"));
+}
+
+/**
+ * Check whether file contents are binary, as git does: a NUL byte within
+ * the first 8000 bytes
+ * @param {Buffer} buffer - The file contents
+ * @returns {boolean} - Whether the file is binary
+ */
+export function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Count the lines of a file's contents; a last line without a newline
+ * counts too
+ * @param {Buffer} buffer - The file contents
+ * @returns {number} - Number of lines
+ */
+export function countBufferLines(buffer) {
+  if (buffer.length === 0) return 0;
+  let lines = 0;
+  let index = buffer.indexOf(10);
+  while (index !== -1) {
+    lines++;
+    index = buffer.indexOf(10, index + 1);
+  }
+  return buffer[buffer.length - 1] === 10 ? lines : lines + 1;
+}
+
+/**
+ * Count the code, comment and blank lines of a file
+ * @param {string} content - The file contents
+ * @param {string} language - The language of the file
+ * @returns {{code: number, comment: number, blank: number}} - Line counts
+ */
+export function countLines(content, language) {
+  const syntax = COMMENT_SYNTAX[language] || { line: [], block: [] };
+  const counts = { code: 0, comment: 0, blank: 0 };
+  let blockEnd = null;
+
+  const lines = content.split(/\r?\n/);
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  lines.forEach((line) => {
+    const text = line.trim();
+
+    if (blockEnd) {
+      counts.comment++;
+      if (text.includes(blockEnd)) blockEnd = null;
+      return;
+    }
+
+    if (!text) {
+      counts.blank++;
+      return;
+    }
+
+    // Block markers first: Lua's "--[[" also starts with its line marker
+    const opening = syntax.block.find(([start]) => text.startsWith(start));
+    if (opening) {
+      counts.comment++;
+      const [start, end] = opening;
+      if (!text.slice(start.length).includes(end)) blockEnd = end;
+      return;
+    }
+
+    if (syntax.line.some((marker) => text.startsWith(marker))) {
+      counts.comment++;
+      return;
+    }
+
+    counts.code++;
+
+    // A block comment opened after code continues on the next lines
+    syntax.block.forEach(([start, end]) => {
+      const index = text.lastIndexOf(start);
+      if (index > 0 && !text.slice(index + start.length).includes(end)) {
+        blockEnd = end;
+      }
+    });
+  });
+
+  return counts;
+}
+
+/**
+ * Read the linguist overrides set in .gitattributes for a list of paths
+ * @param {Array<string>} paths - Paths relative to the repository root
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Map} - Path to `{ vendored, generated, language }`, where
+ *   vendored and generated are true, false or null (not set)
+ */
+export function getLinguistAttributes(paths, repoPath, verbose = false) {
+  const attributes = new Map();
+  if (paths.length === 0) return attributes;
+
+  const output = execCommand(
+    "git check-attr -z --stdin linguist-vendored linguist-generated linguist-language",
+    verbose,
+    repoPath,
+    paths.join("\0")
+  );
+  if (!output) return attributes;
+
+  const toFlag = (value) => {
+    if (value === "set" || value === "true") return true;
+    if (value === "unset" || value === "false") return false;
+    return null;
+  };
+
+  // Output is a NUL-separated list of path, attribute, value triples
+  const fields = output.split("\0");
+  for (let i = 0; i + 2 < fields.length; i += 3) {
+    const [path, attribute, value] = fields.slice(i, i + 3);
+    const entry = attributes.get(path) || {
+      vendored: null,
+      generated: null,
+      language: null,
+    };
+    if (attribute === "linguist-vendored") entry.vendored = toFlag(value);
+    if (attribute === "linguist-generated") entry.generated = toFlag(value);
+    if (attribute === "linguist-language" && toFlag(value) === null) {
+      entry.language = value === "unspecified" ? null : value;
+    }
+    attributes.set(path, entry);
+  }
+
+  return attributes;
+}
+
+/**
+ * Decide whether a path is excluded from the language statistics, letting
+ * .gitattributes override the built-in rules in either direction
+ * @param {string} path - The file path
+ * @param {Object} attributes - Entry from getLinguistAttributes, if any
+ * @returns {string|null} - "vendored", "generated" or null when included
+ */
+export function getExclusion(path, attributes) {
+  const byPath = classifyPath(path);
+  if (!attributes) return byPath;
+
+  if (attributes.vendored === true) return "vendored";
+  if (attributes.generated === true) return "generated";
+  if (byPath === "vendored" && attributes.vendored === false) return null;
+  if (byPath === "generated" && attributes.generated === false) return null;
+  return byPath;
+}
+
+/**
+ * Classify every file changed in the analyzed commits by language, using
+ * the same exclusions as the working tree statistics
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Map} - "repository/path" to `{ language, exclusion }`, where
+ *   exclusion is "vendored", "generated", "binary", "unknown" or null
+ */
+export function classifyHistoryFiles(history, verbose = false) {
+  // Changed paths of each repository, and whether git saw them as binary
+  const pathsByRepository = new Map();
+  history.commits.forEach((commit) => {
+    const paths = pathsByRepository.get(commit.repository) || new Map();
+    commit.files.forEach(({ path, binary }) => {
+      paths.set(path, paths.get(path) || binary);
+    });
+    pathsByRepository.set(commit.repository, paths);
+  });
+
+  const classified = new Map();
+  history.repositories.forEach((repository) => {
+    const paths = pathsByRepository.get(repository.name);
+    if (!paths) return;
+
+    const attributes = getLinguistAttributes(
+      [...paths.keys()],
+      repository.path,
+      verbose
+    );
+    paths.forEach((binary, path) => {
+      const fileAttributes = attributes.get(path);
+      const language =
+        (fileAttributes && fileAttributes.language) || detectLanguage(path);
+      const exclusion =
+        getExclusion(path, fileAttributes) ||
+        (binary && "binary") ||
+        (!language && "unknown") ||
+        null;
+      classified.set(`${repository.name}/${path}`, { language, exclusion });
+    });
+  });
+
+  return classified;
+}
+
+/**
+ * Build language statistics from per-language totals. Each counted
+ * language gets its share of the code lines; data and prose languages are
+ * listed after them with a share of 0.
+ * @param {Object} totals - Language to `{ files, code, comment, blank }`
+ * @param {Object} excluded - Files left out, by reason
+ * @returns {Object} - Language statistics
+ */
+export function buildLanguageStats(totals, excluded) {
+  const entries = Object.entries(totals).map(([language, counts]) => ({
+    language,
+    type: getLanguageType(language),
+    ...counts,
+    lines: counts.code + counts.comment + counts.blank,
+  }));
+  const totalCode = entries
+    .filter(({ language }) => isCountedLanguage(language))
+    .reduce((sum, { code }) => sum + code, 0);
+
+  const languages = entries
+    .map((entry) => ({
+      ...entry,
+      share:
+        isCountedLanguage(entry.language) && totalCode > 0
+          ? Math.round((entry.code / totalCode) * 1000) / 10
+          : 0,
+    }))
+    .sort(
+      (a, b) =>
+        isCountedLanguage(b.language) - isCountedLanguage(a.language) ||
+        b.code - a.code ||
+        a.language.localeCompare(b.language)
+    );
+
+  return {
+    languages,
+    totalFiles: entries.reduce((sum, { files }) => sum + files, 0),
+    totalCode,
+    excluded,
+  };
+}
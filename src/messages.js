@@ -0,0 +1,156 @@
+// Conventional Commit types, as in @commitlint/config-conventional
+const CONVENTIONAL_TYPES = new Set([
+  "feat",
+  "fix",
+  "docs",
+  "style",
+  "refactor",
+  "perf",
+  "test",
+  "build",
+  "ci",
+  "chore",
+  "revert",
+]);
+
+// "type(scope)!: description"
+const CONVENTIONAL_PATTERN = /^([a-z]+)(?:\(([^)]+)\))?(!)?:\s+\S/i;
+
+// "#123", "GH-123" or a tracker key such as "PROJ-123"
+const ISSUE_PATTERN = /(?:^|[\s(\[])(?:#\d+|GH-\d+|[A-Z][A-Z0-9]+-\d+)\b/;
+
+const REVERT_PATTERN = /^revert\b/i;
+const WIP_PATTERN = /\bwip\b/i;
+const FIXUP_PATTERN = /^(?:fixup|squash|amend)! /;
+
+// Words too common to tell anything about the year
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "from",
+  "with",
+  "into",
+  "onto",
+  "that",
+  "this",
+  "when",
+  "not",
+  "are",
+  "was",
+  "all",
+]);
+
+/**
+ * Split a commit subject into its Conventional Commit parts
+ * @param {string} subject - Commit subject
+ * @returns {Object|null} - `{ type, scope, breaking, description }`, or null
+ *   when the subject does not follow the convention
+ */
+function parseConventionalSubject(subject) {
+  const match = CONVENTIONAL_PATTERN.exec(subject);
+  if (!match || !CONVENTIONAL_TYPES.has(match[1].toLowerCase())) return null;
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] ? match[2].trim().toLowerCase() : null,
+    breaking: Boolean(match[3]),
+    description: subject.slice(subject.indexOf(":") + 1).trim(),
+  };
+}
+
+/**
+ * Count values and rank them, most frequent first
+ * @param {Map} counts - Count per value
+ * @param {string} key - Property name for the value in each row
+ * @param {number} total - Total the shares are relative to
+ * @returns {Array} - Rows of `{ [key], count, share }`
+ */
+function rank(counts, key, total) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({
+      [key]: value,
+      count,
+      share: total > 0 ? Math.round((count / total) * 1000) / 10 : 0,
+    }));
+}
+
+/**
+ * Get statistics about commit subjects: Conventional Commit types and
+ * scopes, subject length, the most common words, issue references and
+ * reverts, WIP and fixup commits. Merge commits are left out, and so are
+ * bot commits unless only bots committed.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Object} - Commit message statistics
+ */
+export function getCommitMessageStats(history) {
+  const nonMerges = history.commits.filter(
+    (commit) => commit.parents.length < 2
+  );
+  const humans = nonMerges.filter((commit) => !commit.isBot);
+  const commits = humans.length > 0 ? humans : nonMerges;
+
+  const types = new Map();
+  const scopes = new Map();
+  const words = new Map();
+  let conventional = 0;
+  let breaking = 0;
+  let subjectLength = 0;
+  let issueReferences = 0;
+  let reverts = 0;
+  let wip = 0;
+  let fixups = 0;
+
+  commits.forEach(({ subject }) => {
+    subjectLength += subject.length;
+    if (ISSUE_PATTERN.test(subject)) issueReferences++;
+    if (WIP_PATTERN.test(subject)) wip++;
+    if (FIXUP_PATTERN.test(subject)) fixups++;
+
+    const parsed = parseConventionalSubject(subject);
+    if (parsed) {
+      conventional++;
+      types.set(parsed.type, (types.get(parsed.type) || 0) + 1);
+      if (parsed.scope) {
+        scopes.set(parsed.scope, (scopes.get(parsed.scope) || 0) + 1);
+      }
+      if (parsed.breaking) breaking++;
+    }
+    if ((parsed && parsed.type === "revert") || REVERT_PATTERN.test(subject)) {
+      reverts++;
+    }
+
+    // Words of the description, without the type prefix or references
+    const description = parsed ? parsed.description : subject;
+    description
+      .toLowerCase()
+      .split(/[^a-z']+/)
+      .map((word) => word.replace(/^'+|'+$/g, ""))
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+      .forEach((word) => words.set(word, (words.get(word) || 0) + 1));
+  });
+
+  const total = commits.length;
+  const share = (count) =>
+    total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+  return {
+    totalMessages: total,
+    conventional: {
+      count: conventional,
+      share: share(conventional),
+      breaking,
+      types: rank(types, "type", conventional),
+      scopes: rank(scopes, "scope", conventional).slice(0, 10),
+    },
+    avgSubjectLength:
+      total > 0 ? Math.round((subjectLength / total) * 10) / 10 : 0,
+    topWords: rank(words, "word", total)
+      .slice(0, 10)
+      .map(({ word, count }) => ({ word, count })),
+    issueReferences: { count: issueReferences, share: share(issueReferences) },
+    reverts,
+    wip,
+    fixups,
+  };
+}
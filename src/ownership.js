@@ -0,0 +1,177 @@
+import { listTreeFiles, readBlobs } from "./utils.js";
+import { classifyHistoryFiles, countBufferLines } from "./languages.js";
+
+// Share of a directory's lines above which one person is a knowledge risk
+const RISK_SHARE = 80;
+
+// Share of a directory's lines that makes an author count as a real owner
+const MEANINGFUL_SHARE = 5;
+
+/**
+ * Get the files in the tree the line statistics read, so ownership ignores
+ * deleted files and agrees with the other sections on staged changes
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {string} ref - Revision whose tree is read
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Map} - Tree entry, with its repository `cwd`, by
+ *   "repository/path" of every file in the tree
+ */
+function getTrackedFiles(history, ref, verbose) {
+  const tracked = new Map();
+  history.repositories.forEach((repository) => {
+    listTreeFiles(ref, verbose, repository.path).forEach((file) =>
+      tracked.set(`${repository.name}/${file.path}`, {
+        ...file,
+        cwd: repository.path,
+      })
+    );
+  });
+  return tracked;
+}
+
+/**
+ * Count the current lines of files, as the line statistics do
+ * @param {Array} entries - Tree entries from getTrackedFiles
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Map} - Number of lines by tree entry
+ */
+function countCurrentLines(entries, verbose) {
+  const byRepository = new Map();
+  entries.forEach((entry) =>
+    byRepository.set(entry.cwd, [...(byRepository.get(entry.cwd) || []), entry])
+  );
+
+  const lines = new Map();
+  byRepository.forEach((files, cwd) =>
+    readBlobs(
+      files,
+      (entry, buffer) => lines.set(entry, countBufferLines(buffer)),
+      verbose,
+      cwd
+    )
+  );
+  return lines;
+}
+
+/**
+ * Summarize who wrote an area from the lines each author added to it
+ * @param {Map} authors - `{ name, lines }` by author key
+ * @returns {Object} - `{ lines, owner, ownerShare, authors, meaningfulAuthors,
+ *   busFactor, atRisk }`; the bus factor is the fewest people who wrote more
+ *   than half of the lines
+ */
+function summarizeOwnership(authors) {
+  const ranked = [...authors.values()].sort(
+    (a, b) => b.lines - a.lines || a.name.localeCompare(b.name)
+  );
+  const lines = ranked.reduce((sum, author) => sum + author.lines, 0);
+  const share = (value) =>
+    lines > 0 ? Math.round((value / lines) * 1000) / 10 : 0;
+
+  let busFactor = 0;
+  let covered = 0;
+  while (covered * 2 <= lines && busFactor < ranked.length) {
+    covered += ranked[busFactor].lines;
+    busFactor++;
+  }
+
+  const ownerShare = ranked.length > 0 ? share(ranked[0].lines) : 0;
+  return {
+    lines,
+    owner: ranked.length > 0 ? ranked[0].name : null,
+    ownerShare,
+    authors: ranked.length,
+    meaningfulAuthors: ranked.filter(
+      (author) => share(author.lines) >= MEANINGFUL_SHARE
+    ).length,
+    busFactor,
+    atRisk: ownerShare > RISK_SHARE,
+  };
+}
+
+/**
+ * Get code ownership from history-weighted authorship: each author owns the
+ * lines they added to files that exist at HEAD (or `options.at`), followed
+ * across renames. Bots
+ * and vendored, generated and binary files are left out. Every author
+ * counts, even in a personal report, since ownership is about the whole
+ * team.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} options - Ownership options (at: revision of the tree)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Object} - Ownership of the whole codebase (`overall`), of each
+ *   top-level directory (`directories`) and the single-owner files with the
+ *   most lines added (`riskiestFiles`), each with its current `size` in lines
+ */
+export function getOwnershipStats(history, options = {}, verbose = false) {
+  const isMulti = history.repositories.length > 1;
+  const commits = history.repoCommits.filter((commit) => !commit.isBot);
+  const classified = classifyHistoryFiles({ ...history, commits }, verbose);
+  const tracked = getTrackedFiles(history, options.at || "HEAD", verbose);
+
+  const overall = new Map();
+  const directories = new Map();
+  const files = new Map();
+  const fileKeys = new Map();
+  const credit = (areas, area, commit, lines) => {
+    const authors = areas.get(area) || new Map();
+    const author = authors.get(commit.authorKey) || {
+      name: commit.authorName,
+      lines: 0,
+    };
+    author.lines += lines;
+    authors.set(commit.authorKey, author);
+    areas.set(area, authors);
+  };
+
+  commits.forEach((commit) => {
+    commit.files.forEach(({ path, currentPath, additions }) => {
+      const key = `${commit.repository}/${currentPath}`;
+      if (additions === 0 || !tracked.has(key)) return;
+      const { exclusion } = classified.get(`${commit.repository}/${path}`);
+      if (exclusion && exclusion !== "unknown") return;
+
+      const segments = currentPath.split("/");
+      const directory = segments.length > 1 ? segments[0] : "(root)";
+      const file = isMulti ? key : currentPath;
+      fileKeys.set(file, key);
+      credit(overall, "all", commit, additions);
+      credit(
+        directories,
+        isMulti ? `${commit.repository}/${directory}` : directory,
+        commit,
+        additions
+      );
+      credit(files, file, commit, additions);
+    });
+  });
+
+  const riskiestFiles = [...files]
+    .map(([file, authors]) => ({ file, ...summarizeOwnership(authors) }))
+    .filter(({ atRisk }) => atRisk)
+    .sort((a, b) => b.lines - a.lines || a.file.localeCompare(b.file))
+    .slice(0, 10);
+  const currentLines = countCurrentLines(
+    riskiestFiles.map(({ file }) => tracked.get(fileKeys.get(file))),
+    verbose
+  );
+
+  return {
+    overall: summarizeOwnership(overall.get("all") || new Map()),
+    directories: [...directories]
+      .map(([directory, authors]) => ({
+        directory,
+        ...summarizeOwnership(authors),
+      }))
+      .sort(
+        (a, b) => b.lines - a.lines || a.directory.localeCompare(b.directory)
+      ),
+    riskiestFiles: riskiestFiles.map(({ file, lines, owner, ownerShare }) => ({
+      file,
+      lines,
+      size: currentLines.get(tracked.get(fileKeys.get(file))) || 0,
+      owner,
+      ownerShare,
+    })),
+  };
+}
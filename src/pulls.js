@@ -0,0 +1,296 @@
+// Merge commits that record a pull or merge request, by hosting convention.
+// Each pattern captures the number and, where the subject names them, the
+// source and target branches.
+const MERGE_CONVENTIONS = [
+  {
+    // "Merge pull request #12 from owner/branch"
+    convention: "githubMerge",
+    pattern: /^Merge pull request #(\d+) from (\S+)/,
+    fields: ["number", "source"],
+  },
+  {
+    // Bitbucket Server: "Merge pull request #12 in PROJ/repo from branch to main"
+    convention: "bitbucket",
+    pattern: /^Merge pull request #(\d+) in \S+ from (\S+) to (\S+)/,
+    fields: ["number", "source", "target"],
+  },
+  {
+    // Bitbucket Cloud: "Merged in branch (pull request #12)"
+    convention: "bitbucket",
+    pattern: /^Merged in (\S+) \(pull request #(\d+)\)/,
+    fields: ["source", "number"],
+  },
+  {
+    // Azure DevOps: "Merged PR 12: title"
+    convention: "azureDevOps",
+    pattern: /^Merged PR (\d+):/,
+    fields: ["number"],
+  },
+];
+
+// GitLab: "Merge branch 'feature' into 'main'" with "See merge request
+// group/project!12" in the body
+const GITLAB_SUBJECT = /^Merge branch '([^']+)' into '([^']+)'/;
+const GITLAB_BODY = /See merge request \S*!(\d+)/;
+
+// GitHub squash merges end the subject with the pull request number
+const SQUASH_SUFFIX = /\(#(\d+)\)\s*$/;
+
+// GitHub re-commits rebase-merged pull requests as this committer
+const GITHUB_COMMITTER = "noreply@github.com";
+
+// Branches tried first when deciding which branch a commit landed on
+const MAINLINE_BRANCHES = ["main", "master", "trunk", "develop"];
+
+/**
+ * Recognize the pull request recorded by a commit from its subject, body
+ * and parents
+ * @param {Object} commit - Commit from the history model
+ * @returns {Object|null} - `{ convention, number, source, target }`, or null
+ *   when the commit does not record a merged pull request
+ */
+function matchPullRequest(commit) {
+  if (commit.parents.length > 1) {
+    for (const { convention, pattern, fields } of MERGE_CONVENTIONS) {
+      const match = pattern.exec(commit.subject);
+      if (!match) continue;
+      const values = Object.fromEntries(
+        fields.map((field, index) => [field, match[index + 1]])
+      );
+      return {
+        convention,
+        number: Number(values.number),
+        source: values.source || null,
+        target: values.target || null,
+      };
+    }
+
+    const gitlab = GITLAB_BODY.exec(commit.body);
+    if (gitlab) {
+      const branches = GITLAB_SUBJECT.exec(commit.subject);
+      return {
+        convention: "gitlab",
+        number: Number(gitlab[1]),
+        source: branches ? branches[1] : null,
+        target: branches ? branches[2] : null,
+      };
+    }
+    return null;
+  }
+
+  const squash = SQUASH_SUFFIX.exec(commit.subject);
+  if (squash) {
+    return {
+      convention: "githubSquash",
+      number: Number(squash[1]),
+      source: null,
+      target: null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Walk the first-parent line of every branch tip. The mainline branches are
+ * walked first, so a commit that reached main is attributed to main rather
+ * than to a feature branch that contains it; a later walk stops where it
+ * joins a line already walked.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Object} - `{ lines, joins }`: the `{ branch, index }` of each
+ *   walked commit (index 0 being the tip), and where each branch's line
+ *   joins another one
+ */
+function walkBranchLines(history) {
+  const priority = (ref) => {
+    const name = ref.shortName.split("/").pop();
+    const mainline = MAINLINE_BRANCHES.indexOf(name);
+    const remote = ref.refName.startsWith("refs/remotes/") ? 1 : 0;
+    return [mainline === -1 ? MAINLINE_BRANCHES.length : mainline, remote];
+  };
+  const refs = [...history.refs].sort((a, b) => {
+    const [mainlineA, remoteA] = priority(a);
+    const [mainlineB, remoteB] = priority(b);
+    return mainlineA - mainlineB || remoteA - remoteB;
+  });
+
+  const lines = new Map();
+  const joins = new Map();
+  refs.forEach((ref) => {
+    let commit = history.graph.get(ref.hash);
+    let index = 0;
+    while (commit && !lines.has(commit.hash)) {
+      lines.set(commit.hash, { branch: ref.shortName, index: index++ });
+      commit = history.graph.get(commit.parents[0]);
+    }
+    if (commit && index > 0) joins.set(ref.shortName, lines.get(commit.hash));
+  });
+  return { lines, joins };
+}
+
+/**
+ * Check whether a commit is on a branch's first-parent line, following the
+ * line into the branches it joins
+ * @param {Object} walk - From walkBranchLines
+ * @param {string} hash - Commit hash
+ * @param {string} branch - Branch name
+ * @returns {boolean} - Whether the commit is on the line
+ */
+function isOnLine({ lines, joins }, hash, branch) {
+  const line = lines.get(hash);
+  if (!line) return false;
+  let current = { branch, index: 0 };
+  while (current) {
+    if (line.branch === current.branch) return line.index >= current.index;
+    current = joins.get(current.branch);
+  }
+  return false;
+}
+
+/**
+ * Count the commits a merge brought in: those reachable from its second
+ * parent, up to the first-parent line it was merged into
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} merge - The merge commit
+ * @param {Object} walk - From walkBranchLines
+ * @returns {number} - Number of merged commits
+ */
+function countMergedCommits(history, merge, walk) {
+  const line = walk.lines.get(merge.hash);
+  const isBase = (hash) =>
+    line ? isOnLine(walk, hash, line.branch) : walk.lines.has(hash);
+
+  const seen = new Set();
+  const stack = [merge.parents[1]];
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    if (seen.has(hash) || isBase(hash)) continue;
+    const commit = history.graph.get(hash);
+    if (!commit) continue;
+    seen.add(hash);
+    stack.push(...commit.parents);
+  }
+  return seen.size;
+}
+
+/**
+ * Detect the merged pull requests among the commits in scope: GitHub merge
+ * commits, squash merges and rebase merges, GitLab merge requests and
+ * Bitbucket and Azure DevOps pull requests
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Array} - `{ convention, number, source, target, commits, hash,
+ *   day }` per pull request; commits is null when it can't be known
+ */
+export function detectPullRequests(history) {
+  const walk = walkBranchLines(history);
+  const branchOf = (hash) =>
+    walk.lines.has(hash) ? walk.lines.get(hash).branch : null;
+  const pullRequests = [];
+  const rebases = new Map();
+
+  history.commits.forEach((commit) => {
+    const match = matchPullRequest(commit);
+    if (match) {
+      pullRequests.push({
+        ...match,
+        target: match.target || branchOf(commit.hash),
+        // A squash merge leaves no trace of the original commits
+        commits:
+          commit.parents.length > 1
+            ? countMergedCommits(history, commit, walk)
+            : null,
+        hash: commit.hash,
+        day: commit.day,
+      });
+      return;
+    }
+
+    // Commits of one rebase merge share GitHub's commit timestamp
+    if (
+      commit.parents.length < 2 &&
+      commit.committerEmail === GITHUB_COMMITTER &&
+      commit.authorEmail !== GITHUB_COMMITTER
+    ) {
+      const key = `${commit.repository}/${commit.committerDate}`;
+      const group = rebases.get(key) || [];
+      group.push(commit);
+      rebases.set(key, group);
+    }
+  });
+
+  // GitHub also commits web UI edits and API commits, one at a time, so a
+  // lone commit is not taken for a rebase merge
+  rebases.forEach((group) => {
+    if (group.length < 2) return;
+    const [newest] = group;
+    pullRequests.push({
+      convention: "rebase",
+      number: null,
+      source: null,
+      target: branchOf(newest.hash),
+      commits: group.length,
+      hash: newest.hash,
+      day: newest.day,
+    });
+  });
+
+  return pullRequests.sort(
+    (a, b) => a.day.localeCompare(b.day) || (a.number || 0) - (b.number || 0)
+  );
+}
+
+/**
+ * Get pull request and merge statistics
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Object} - Merged pull requests, merges, counts per convention
+ *   and per target branch, and the median number of commits per pull request
+ */
+export function getPullRequestStats(history) {
+  const pullRequests = detectPullRequests(history);
+
+  const conventions = {
+    githubMerge: 0,
+    githubSquash: 0,
+    rebase: 0,
+    gitlab: 0,
+    bitbucket: 0,
+    azureDevOps: 0,
+  };
+  const targets = new Map();
+  pullRequests.forEach(({ convention, target }) => {
+    conventions[convention]++;
+    const branch = target || "unknown";
+    targets.set(branch, (targets.get(branch) || 0) + 1);
+  });
+
+  const sizes = pullRequests
+    .map(({ commits }) => commits)
+    .filter((commits) => commits !== null)
+    .sort((a, b) => a - b);
+  const middle = Math.floor(sizes.length / 2);
+  const medianCommitsPerPr =
+    sizes.length === 0
+      ? null
+      : sizes.length % 2 === 1
+      ? sizes[middle]
+      : (sizes[middle - 1] + sizes[middle]) / 2;
+
+  const numbers = pullRequests
+    .map(({ number }) => number)
+    .filter((number) => number !== null);
+  const min = (a, b) => Math.min(a, b);
+  const max = (a, b) => Math.max(a, b);
+
+  return {
+    count: pullRequests.length,
+    merges: history.commits.filter((commit) => commit.parents.length > 1)
+      .length,
+    conventions,
+    targets: [...targets]
+      .map(([branch, count]) => ({ branch, count }))
+      .sort((a, b) => b.count - a.count || a.branch.localeCompare(b.branch)),
+    medianCommitsPerPr,
+    firstNumber: numbers.length > 0 ? numbers.reduce(min) : null,
+    lastNumber: numbers.length > 0 ? numbers.reduce(max) : null,
+    pullRequests,
+  };
+}
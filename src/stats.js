@@ -1,186 +1,211 @@
+import { formatDate, listMonths, listTreeFiles, readBlobs } from "./utils.js";
+import { detectPullRequests } from "./pulls.js";
 import {
-  execCommand,
-  formatDate,
-  getDateFilter,
-  getFileExtension,
-  extensionToLanguage,
-} from "./utils.js";
-
-/**
- * Get commit details for a specific commit hash
- * @param {string} commitHash - The commit hash
- * @param {boolean} verbose - Whether to log debug info
- * @returns {string|null} - Commit details
- */
-export function getCommitDetails(commitHash, verbose = false) {
-  if (commitHash.includes("\n")) commitHash = commitHash.split("\n")[0];
-  const command = `git show -s --format="%ci %h %an" ${commitHash}`;
-  return execCommand(command, verbose);
-}
+  detectLanguage,
+  countLines,
+  classifyHistoryFiles,
+  getLinguistAttributes,
+  getExclusion,
+  hasGeneratedMarker,
+  isBinaryContent,
+  countBufferLines,
+  buildLanguageStats,
+} from "./languages.js";
+import { countReachableCommits } from "./history.js";
 
 /**
  * Get basic repository statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * @param {Object} history - Commit history from loadCommitHistory
  * @returns {Object} - Repository statistics
  */
-export function getBasicStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-
-  // Get first and last commits
-  const firstCommitHash = execCommand(
-    `git rev-list --max-parents=0 HEAD ${branchFilter} ${dateFilter}`,
-    verbose
-  );
-  const lastCommitHash = execCommand(
-    `git rev-list -n 1 HEAD ${branchFilter} ${dateFilter}`,
-    verbose
-  );
-
-  let firstCommitDate = null;
-  let lastCommitDate = null;
-
-  if (firstCommitHash) {
-    const firstCommitDetails = getCommitDetails(
-      firstCommitHash.trim(),
-      verbose
-    );
-    if (firstCommitDetails) {
-      firstCommitDate = firstCommitDetails.split(" ")[0];
-    }
-  }
-
-  if (lastCommitHash) {
-    const lastCommitDetails = getCommitDetails(lastCommitHash.trim(), verbose);
-    if (lastCommitDetails) {
-      lastCommitDate = lastCommitDetails.split(" ")[0];
-    }
-  }
-
-  const numCommits = execCommand(
-    `git rev-list --count HEAD ${branchFilter} ${dateFilter}`,
-    verbose
-  );
+export function getBasicStats(history) {
+  const { commits } = history;
 
-  // Fix the branches count command
-  const numBranches = execCommand("git branch -a | wc -l", verbose);
+  // Commits are listed newest first, but dates can be out of order
+  const days = commits.map((commit) => commit.day).sort();
+  const firstCommitDate = days.length > 0 ? days[0] : null;
+  const lastCommitDate = days.length > 0 ? days[days.length - 1] : null;
 
-  const numPullRequests = execCommand(
-    `git log --oneline --grep="Merge pull request" ${branchFilter} ${dateFilter} | wc -l`,
-    verbose
-  );
+  const numPullRequests = detectPullRequests(history).length;
 
-  const numContributors = execCommand(
-    `git shortlog -sn ${branchFilter} ${dateFilter} | wc -l`,
-    verbose
-  );
+  const numContributors = new Set(commits.map((commit) => commit.authorKey))
+    .size;
 
   return {
     firstCommitDate,
     lastCommitDate,
-    numCommits: numCommits ? parseInt(numCommits) : 0,
-    numBranches: numBranches ? parseInt(numBranches.trim()) : 0,
-    numPullRequests: numPullRequests ? parseInt(numPullRequests.trim()) : 0,
-    numContributors: numContributors ? parseInt(numContributors.trim()) : 0,
+    numCommits: commits.length,
+    numBranches: history.refs.length,
+    numPullRequests,
+    numContributors,
   };
 }
 
 /**
- * Get line statistics for the repository
+ * Get line statistics for the repository from the files of a revision, read
+ * straight from git. Binary files are left out.
  * @param {boolean} verbose - Whether to log debug info
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {string} ref - Revision to count (default: HEAD)
  * @returns {Object} - Line statistics
  */
-export function getLineStats(verbose = false) {
-  const totalLOC = execCommand(
-    "git ls-files | xargs wc -l 2>/dev/null | tail -n 1 | awk '{print $1}'",
-    verbose
-  );
-
-  const fileStatsOutput = execCommand(
-    "git ls-files | xargs wc -l 2>/dev/null",
-    verbose
+export function getLineStats(
+  verbose = false,
+  repoPath = undefined,
+  ref = "HEAD"
+) {
+  const fileStats = [];
+  readBlobs(
+    listTreeFiles(ref, verbose, repoPath),
+    ({ path }, buffer) => {
+      if (isBinaryContent(buffer)) return;
+      fileStats.push({ lines: countBufferLines(buffer), file: path });
+    },
+    verbose,
+    repoPath
   );
 
-  if (!fileStatsOutput) {
-    return { totalLOC: 0, largestFiles: [] };
-  }
-
-  const fileStats = fileStatsOutput
-    .split("\n")
-    .filter((line) => line.trim())
-    .map((line) => {
-      const match = line.trim().match(/(\d+)\s+(.+)/);
-      if (match && match[2] !== "total") {
-        return {
-          lines: parseInt(match[1]),
-          file: match[2],
-        };
-      }
-      return null;
-    })
-    .filter(Boolean)
-    .sort((a, b) => b.lines - a.lines);
-
-  const largestFiles = fileStats.slice(0, 10);
-
   return {
-    totalLOC: totalLOC ? parseInt(totalLOC) : 0,
-    largestFiles,
+    totalLOC: fileStats.reduce((sum, { lines }) => sum + lines, 0),
+    largestFiles: fileStats
+      .sort((a, b) => b.lines - a.lines || a.file.localeCompare(b.file))
+      .slice(0, 10),
   };
 }
 
+// Contributor fields for each --sort-by key
+const CONTRIBUTOR_SORT_FIELDS = {
+  commits: "commits",
+  additions: "additions",
+  deletions: "deletions",
+  net: "net",
+  files: "filesTouched",
+  "active-days": "activeDays",
+};
+
 /**
  * Get contributor statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} options - Options (sortBy)
  * @returns {Array} - Array of contributor stats
  */
-export function getContributorStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-  const output = execCommand(
-    `git shortlog -sn ${branchFilter} ${dateFilter}`,
-    verbose
-  );
+export function getContributorStats(history, options = {}) {
+  const byAuthor = new Map();
+
+  history.commits.forEach((commit) => {
+    let author = byAuthor.get(commit.authorKey);
+    if (!author) {
+      author = {
+        name: commit.authorName,
+        isBot: commit.isBot,
+        commits: 0,
+        additions: 0,
+        deletions: 0,
+        files: new Set(),
+        days: new Set(),
+      };
+      byAuthor.set(commit.authorKey, author);
+    }
 
-  if (!output) return [];
+    author.commits++;
+    author.additions += commit.insertions;
+    author.deletions += commit.deletions;
+    commit.files.forEach(({ currentPath }) =>
+      author.files.add(`${commit.repository}/${currentPath}`)
+    );
+    author.days.add(commit.day);
+  });
 
-  return output
-    .split("\n")
-    .filter((line) => line.trim())
-    .map((line) => {
-      const [commits, ...nameParts] = line.trim().split("\t");
-      return { name: nameParts.join("\t"), commits: parseInt(commits) };
-    });
+  const sortKey = CONTRIBUTOR_SORT_FIELDS[options.sortBy] || "commits";
+
+  return [...byAuthor.values()]
+    .map(({ files, days, ...author }) => {
+      const sortedDays = [...days].sort();
+      return {
+        ...author,
+        net: author.additions - author.deletions,
+        filesTouched: files.size,
+        firstCommitDate: sortedDays[0],
+        lastCommitDate: sortedDays[sortedDays.length - 1],
+        activeDays: days.size,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b[sortKey] - a[sortKey] ||
+        b.commits - a.commits ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Get how a person's commits compare with everyone's in a personal report
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Object|null} - Personal statistics, or null without --author
+ */
+export function getPersonalStats(history) {
+  if (!history.author) return null;
+
+  const share = (part, total) =>
+    total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+  const sum = (commits, field) =>
+    commits.reduce((total, commit) => total + commit[field], 0);
+
+  // Rank everyone by commit count to place the person among them
+  const commitsByAuthor = new Map();
+  history.repoCommits.forEach((commit) => {
+    commitsByAuthor.set(
+      commit.authorKey,
+      (commitsByAuthor.get(commit.authorKey) || 0) + 1
+    );
+  });
+  const commits = history.commits.length;
+  const rank =
+    [...commitsByAuthor.values()].filter((count) => count > commits).length + 1;
+
+  const additions = sum(history.commits, "insertions");
+  const totalAdditions = sum(history.repoCommits, "insertions");
+
+  return {
+    name: history.author.name,
+    commits,
+    totalCommits: history.repoCommits.length,
+    commitShare: share(commits, history.repoCommits.length),
+    additions,
+    totalAdditions,
+    additionsShare: share(additions, totalAdditions),
+    rank,
+    totalContributors: commitsByAuthor.size,
+  };
 }
 
 /**
  * Get time-based statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * @param {Object} history - Commit history from loadCommitHistory
  * @returns {Object} - Time-based statistics
  */
-export function getTimeBasedStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-  const output = execCommand(
-    `git log --format="%H|%ai" ${branchFilter} ${dateFilter}`,
-    verbose
-  );
-
-  if (!output) {
-    return { mostActiveHour: { hour: 0, count: 0 }, weekdayCommits: {} };
+export function getTimeBasedStats(history) {
+  if (history.commits.length === 0) {
+    return {
+      mostActiveHour: { hour: 0, count: 0 },
+      weekdayCommits: {},
+      timezones: [],
+    };
   }
 
-  const commitTimes = output.split("\n").map((line) => {
-    const [hash, dateStr] = line.split("|");
-    return new Date(dateStr);
-  });
+  // Hours and weekdays are already in the --tz time zone
+  const WEEKDAYS = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ];
 
   // Group commits by hour of day
-  const hourlyCommits = commitTimes.reduce((acc, date) => {
-    const hour = date.getHours();
+  const hourlyCommits = history.commits.reduce((acc, { hour }) => {
     acc[hour] = (acc[hour] || 0) + 1;
     return acc;
   }, {});
@@ -193,9 +218,8 @@ export function getTimeBasedStats(options = {}, verbose = false) {
   );
 
   // Group commits by day of week
-  const weekdayCommits = commitTimes.reduce((acc, date) => {
-    const weekday = date.toLocaleDateString("en-US", { weekday: "long" });
-    acc[weekday] = (acc[weekday] || 0) + 1;
+  const weekdayCommits = history.commits.reduce((acc, { weekday }) => {
+    acc[WEEKDAYS[weekday]] = (acc[WEEKDAYS[weekday]] || 0) + 1;
     return acc;
   }, {});
 
@@ -209,8 +233,7 @@ export function getTimeBasedStats(options = {}, verbose = false) {
     "Night (20:00-23:59)": 0,
   };
 
-  commitTimes.forEach((date) => {
-    const hour = date.getHours();
+  history.commits.forEach(({ hour }) => {
     if (hour >= 0 && hour < 4) timeBlocks["Late Night (00:00-03:59)"]++;
     else if (hour >= 4 && hour < 8) timeBlocks["Early Morning (04:00-07:59)"]++;
     else if (hour >= 8 && hour < 12) timeBlocks["Morning (08:00-11:59)"]++;
@@ -222,54 +245,168 @@ export function getTimeBasedStats(options = {}, verbose = false) {
   // Count weekend vs weekday commits
   let weekendCommits = 0;
   let weekdayCommitCount = 0;
-  commitTimes.forEach((date) => {
-    const day = date.getDay();
-    if (day === 0 || day === 6) weekendCommits++;
+  history.commits.forEach(({ weekday }) => {
+    if (weekday === 0 || weekday === 6) weekendCommits++;
     else weekdayCommitCount++;
   });
 
+  // Where commits originate, by the author's UTC offset
+  const offsets = new Map();
+  history.commits.forEach((commit) => {
+    const entry = offsets.get(commit.offset) || {
+      offset: commit.offset,
+      commits: 0,
+      authors: new Set(),
+    };
+    entry.commits++;
+    entry.authors.add(commit.authorKey);
+    offsets.set(commit.offset, entry);
+  });
+  const timezones = [...offsets.values()]
+    .map(({ offset, commits, authors }) => ({
+      offset,
+      commits,
+      authors: authors.size,
+    }))
+    .sort((a, b) => b.commits - a.commits || a.offset.localeCompare(b.offset));
+
   return {
     mostActiveHour,
     weekdayCommits,
     timeBlocks,
     weekendVsWeekday: { weekend: weekendCommits, weekday: weekdayCommitCount },
+    timezones,
   };
 }
 
+// Contributors shown in the per-author punch cards
+const PUNCH_CARD_AUTHORS = 5;
+
 /**
- * Get commit frequency statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
- * @returns {Object} - Commit frequency statistics
+ * Count commits by weekday and hour
+ * @param {Array} commits - Commits with `weekday` and `hour`
+ * @returns {Object} - `{ grid, peak }`: grid[weekday][hour] counts with
+ *   weekday 0 being Sunday, and the busiest `{ weekday, hour, count }`
  */
-export function getCommitFrequencyStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-  const output = execCommand(
-    `git log --format="%ai" ${branchFilter} ${dateFilter}`,
-    verbose
+function buildPunchCard(commits) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  commits.forEach(({ weekday, hour }) => grid[weekday][hour]++);
+
+  let peak = { weekday: 0, hour: 0, count: 0 };
+  grid.forEach((hours, weekday) =>
+    hours.forEach((count, hour) => {
+      if (count > peak.count) peak = { weekday, hour, count };
+    })
+  );
+
+  return { grid, peak };
+}
+
+/**
+ * Get the hour by weekday punch card, optionally with one card per top
+ * contributor
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} options - Options (perAuthor)
+ * @returns {Object} - `{ grid, peak, authors }`; authors is empty unless
+ *   perAuthor is set
+ */
+export function getPunchCard(history, options = {}) {
+  const authors = [];
+  if (options.perAuthor) {
+    const byAuthor = new Map();
+    history.commits.forEach((commit) => {
+      const entry = byAuthor.get(commit.authorKey) || {
+        name: commit.authorName,
+        commits: [],
+      };
+      entry.commits.push(commit);
+      byAuthor.set(commit.authorKey, entry);
+    });
+    [...byAuthor.values()]
+      .sort(
+        (a, b) =>
+          b.commits.length - a.commits.length || a.name.localeCompare(b.name)
+      )
+      .slice(0, PUNCH_CARD_AUTHORS)
+      .forEach(({ name, commits }) =>
+        authors.push({
+          name,
+          commits: commits.length,
+          ...buildPunchCard(commits),
+        })
+      );
+  }
+
+  return { ...buildPunchCard(history.commits), authors };
+}
+
+/**
+ * Build the weekly and monthly commit series, with a zero for every week or
+ * month without commits. Weeks start on Sunday, as in the heatmap.
+ * @param {Object} dayStats - Commit count per YYYY-MM-DD day
+ * @param {Object} monthStats - Commit count per YYYY-MM month
+ * @returns {Object} - `{ weekly, monthly }` arrays of `{ period, count }`
+ */
+function getActivitySeries(dayStats, monthStats) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const weekOf = (day) => {
+    const date = new Date(`${day}T00:00:00Z`);
+    return date.getTime() - date.getUTCDay() * DAY;
+  };
+
+  const weekStats = {};
+  Object.entries(dayStats).forEach(([day, count]) => {
+    const week = weekOf(day);
+    weekStats[week] = (weekStats[week] || 0) + count;
+  });
+
+  const days = Object.keys(dayStats).sort();
+  const weekly = [];
+  for (
+    let week = weekOf(days[0]);
+    week <= weekOf(days[days.length - 1]);
+    week += 7 * DAY
+  ) {
+    weekly.push({
+      period: new Date(week).toISOString().split("T")[0],
+      count: weekStats[week] || 0,
+    });
+  }
+
+  const months = Object.keys(monthStats).sort();
+  const monthly = listMonths(months[0], months[months.length - 1]).map(
+    (month) => ({ period: month, count: monthStats[month] || 0 })
   );
 
-  if (!output) {
+  return { weekly, monthly };
+}
+
+/**
+ * Get commit frequency statistics
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Object} - Commit frequency statistics
+ */
+export function getCommitFrequencyStats(history) {
+  if (history.commits.length === 0) {
     return {
       maxDay: { date: "", count: 0 },
       maxMonth: { date: "", count: 0 },
       maxYear: { date: "", count: 0 },
       avgCommitsPerMonth: 0,
       avgCommitsPerDay: 0,
+      weekly: [],
+      monthly: [],
     };
   }
 
-  const commitDates = output.split("\n");
+  const commitDates = history.commits.map((commit) => commit.day);
 
   const dayStats = {};
   const monthStats = {};
   const yearStats = {};
 
-  commitDates.forEach((date) => {
-    if (!date) return;
-    const [fullDate] = date.split(" ");
-    const [year, month, day] = fullDate.split("-");
+  commitDates.forEach((fullDate) => {
+    const [year, month] = fullDate.split("-");
 
     dayStats[fullDate] = (dayStats[fullDate] || 0) + 1;
     monthStats[`${year}-${month}`] = (monthStats[`${year}-${month}`] || 0) + 1;
@@ -316,142 +453,334 @@ export function getCommitFrequencyStats(options = {}, verbose = false) {
     maxYear,
     avgCommitsPerMonth,
     avgCommitsPerDay,
+    ...getActivitySeries(dayStats, monthStats),
   };
 }
 
+// Commit size buckets by lines changed, as used by pull request size labels
+const SIZE_BUCKETS = [
+  { bucket: "XS", max: 9 },
+  { bucket: "S", max: 29 },
+  { bucket: "M", max: 99 },
+  { bucket: "L", max: 499 },
+  { bucket: "XL", max: Infinity },
+];
+
+// Commits up to this bucket count as small
+const SMALL_BUCKET = "S";
+
+// Commits needed before any is called an outlier
+const OUTLIER_MIN_COMMITS = 20;
+
+// Lines an outlier changes at the least, however tightly the others cluster
+const OUTLIER_MIN_LINES = 100;
+
+/**
+ * Get a percentile of sorted values with the nearest-rank method
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percent - Percentile, from 0 to 100
+ * @returns {number} - The value at the percentile
+ */
+function percentile(sorted, percent) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((percent / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
 /**
- * Get commit size statistics
- * @param {Object} options - Filter options (year, since, until)
+ * Get commit size statistics: averages, percentiles and a histogram of the
+ * lines changed per commit, and the largest commits
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} options - `maxCommitSize` leaves out commits changing more
+ *   lines, `excludeGeneratedCommits` commits that only touch generated or
+ *   vendored files
  * @param {boolean} verbose - Whether to log debug info
  * @returns {Object} - Commit size statistics
  */
-export function getCommitSizeStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-  const output = execCommand(
-    `git log --stat --oneline ${branchFilter} ${dateFilter}`,
+export function getCommitSizeStats(history, options = {}, verbose = false) {
+  // Merge commits carry no numstat and are left out, as with `git log --stat`
+  const changed = history.commits.filter((commit) => commit.files.length > 0);
+
+  const classified = options.excludeGeneratedCommits
+    ? classifyHistoryFiles(history, verbose)
+    : null;
+  const isGeneratedOnly = (commit) =>
+    commit.files.every(({ path }) => {
+      const { exclusion } = classified.get(`${commit.repository}/${path}`);
+      return exclusion === "generated" || exclusion === "vendored";
+    });
+
+  const excluded = { oversized: 0, generated: 0 };
+  const commitSizes = changed
+    .map((commit) => ({
+      commit,
+      filesChanged: commit.files.length,
+      insertions: commit.insertions,
+      deletions: commit.deletions,
+      lines: commit.insertions + commit.deletions,
+    }))
+    .filter(({ commit, lines }) => {
+      if (options.maxCommitSize && lines > options.maxCommitSize) {
+        excluded.oversized++;
+        return false;
+      }
+      if (classified && isGeneratedOnly(commit)) {
+        excluded.generated++;
+        return false;
+      }
+      return true;
+    });
+
+  const sorted = commitSizes.map(({ lines }) => lines).sort((a, b) => a - b);
+  const average = (field) =>
+    commitSizes.length > 0
+      ? (
+          commitSizes.reduce((sum, size) => sum + size[field], 0) /
+          commitSizes.length
+        ).toFixed(2)
+      : 0;
+  const share = (count) =>
+    commitSizes.length > 0
+      ? Math.round((count / commitSizes.length) * 1000) / 10
+      : 0;
+
+  const histogram = SIZE_BUCKETS.map(({ bucket, max }, index) => {
+    const min = index === 0 ? 0 : SIZE_BUCKETS[index - 1].max + 1;
+    const commits = sorted.filter(
+      (lines) => lines >= min && lines <= max
+    ).length;
+    return {
+      bucket,
+      min,
+      max: max === Infinity ? null : max,
+      commits,
+      share: share(commits),
+    };
+  });
+  const smallMax = SIZE_BUCKETS.find(
+    ({ bucket }) => bucket === SMALL_BUCKET
+  ).max;
+
+  // Tukey's far-out fence: well beyond the usual spread of commit sizes. It
+  // falls to p75 when most commits are the same size, so it is kept above
+  // twice p90 and OUTLIER_MIN_LINES.
+  const p25 = percentile(sorted, 25);
+  const p75 = percentile(sorted, 75);
+  const p90 = percentile(sorted, 90);
+  const outlierThreshold =
+    sorted.length >= OUTLIER_MIN_COMMITS
+      ? Math.max(p75 + 3 * (p75 - p25), p90 * 2, OUTLIER_MIN_LINES)
+      : null;
+  const included = new Set(commitSizes.map(({ commit }) => commit.hash));
+  const isMulti = history.repositories.length > 1;
+
+  return {
+    avgFilesChanged: average("filesChanged"),
+    avgInsertions: average("insertions"),
+    avgDeletions: average("deletions"),
+    commits: commitSizes.length,
+    excluded,
+    median: percentile(sorted, 50),
+    p90,
+    p99: percentile(sorted, 99),
+    histogram,
+    smallCommits: {
+      maxLines: smallMax,
+      share: share(sorted.filter((lines) => lines <= smallMax).length),
+    },
+    outlierThreshold,
+    outliers:
+      outlierThreshold === null
+        ? 0
+        : sorted.filter((lines) => lines > outlierThreshold).length,
+    largestCommits: changed
+      .map((commit) => ({
+        hash: commit.hash,
+        author: commit.authorName,
+        subject: commit.subject,
+        day: commit.day,
+        repository: isMulti ? commit.repository : null,
+        lines: commit.insertions + commit.deletions,
+        files: commit.files.length,
+        excluded: !included.has(commit.hash),
+      }))
+      .sort((a, b) => b.lines - a.lines || b.day.localeCompare(a.day))
+      .slice(0, 10),
+  };
+}
+
+/**
+ * Get programming language statistics of the files of a revision, weighted
+ * by lines of code. Vendored, generated, binary and unrecognized files are
+ * left out.
+ * @param {boolean} verbose - Whether to log debug info
+ * @param {string} repoPath - Repository root (default: cwd)
+ * @param {string} ref - Revision to count (default: HEAD)
+ * @returns {Object} - Language statistics
+ */
+export function getLanguageStats(
+  verbose = false,
+  repoPath = undefined,
+  ref = "HEAD"
+) {
+  const excluded = { vendored: 0, generated: 0, binary: 0, unknown: 0 };
+  const files = listTreeFiles(ref, verbose, repoPath);
+  const attributes = getLinguistAttributes(
+    files.map(({ path }) => path),
+    repoPath,
     verbose
   );
+  const totals = {};
 
-  if (!output) {
-    return { avgFilesChanged: 0, avgInsertions: 0, avgDeletions: 0 };
-  }
+  const included = files.filter(({ path }) => {
+    const exclusion = getExclusion(path, attributes.get(path));
+    if (exclusion) excluded[exclusion]++;
+    return !exclusion;
+  });
 
-  const commitSizes = output
-    .split("\n")
-    .filter(
-      (line) => line.includes("files changed") || line.includes("file changed")
-    )
-    .map((line) => {
-      const matches = line.match(
-        /(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/
-      );
-      if (matches) {
-        return {
-          filesChanged: parseInt(matches[1] || 0),
-          insertions: parseInt(matches[2] || 0),
-          deletions: parseInt(matches[3] || 0),
-        };
+  readBlobs(
+    included,
+    ({ path: file }, buffer) => {
+      const fileAttributes = attributes.get(file);
+      if (isBinaryContent(buffer)) {
+        excluded.binary++;
+        return;
       }
-      return null;
-    })
-    .filter(Boolean);
 
-  if (commitSizes.length === 0) {
-    return { avgFilesChanged: 0, avgInsertions: 0, avgDeletions: 0 };
-  }
+      const content = buffer.toString("utf8");
+      const generatedAllowed =
+        fileAttributes && fileAttributes.generated === false;
+      if (hasGeneratedMarker(content) && !generatedAllowed) {
+        excluded.generated++;
+        return;
+      }
 
-  const avgFilesChanged = (
-    commitSizes.reduce((sum, c) => sum + c.filesChanged, 0) / commitSizes.length
-  ).toFixed(2);
-  const avgInsertions = (
-    commitSizes.reduce((sum, c) => sum + c.insertions, 0) / commitSizes.length
-  ).toFixed(2);
-  const avgDeletions = (
-    commitSizes.reduce((sum, c) => sum + c.deletions, 0) / commitSizes.length
-  ).toFixed(2);
-
-  return { avgFilesChanged, avgInsertions, avgDeletions };
+      const language =
+        (fileAttributes && fileAttributes.language) ||
+        detectLanguage(file, content.split("\n", 1)[0]);
+      if (!language) {
+        excluded.unknown++;
+        return;
+      }
+
+      const counts = countLines(content, language);
+      const total = totals[language] || {
+        files: 0,
+        code: 0,
+        comment: 0,
+        blank: 0,
+      };
+      total.files++;
+      total.code += counts.code;
+      total.comment += counts.comment;
+      total.blank += counts.blank;
+      totals[language] = total;
+    },
+    verbose,
+    repoPath
+  );
+
+  return buildLanguageStats(totals, excluded);
 }
 
 /**
- * Get programming language statistics
+ * Get the languages of the files touched in the analyzed commits, used for
+ * personal reports instead of the languages of the whole working tree.
+ * Languages are weighted by lines added, which are reported as code.
+ * @param {Object} history - Commit history from loadCommitHistory
  * @param {boolean} verbose - Whether to log debug info
  * @returns {Object} - Language statistics
  */
-export function getLanguageStats(verbose = false) {
-  const filesOutput = execCommand("git ls-files", verbose);
-  if (!filesOutput) return { languages: [], totalFiles: 0 };
-
-  const files = filesOutput.split("\n");
-  const languageStats = {};
-
-  files.forEach((file) => {
-    const ext = getFileExtension(file);
-    if (ext) {
-      const language = extensionToLanguage(ext);
-      languageStats[language] = (languageStats[language] || 0) + 1;
-    }
+export function getTouchedLanguageStats(history, verbose = false) {
+  const excluded = { vendored: 0, generated: 0, binary: 0, unknown: 0 };
+  const classified = classifyHistoryFiles(history, verbose);
+
+  // Lines added to each file, per repository
+  const additions = new Map();
+  history.commits.forEach((commit) => {
+    commit.files.forEach((change) => {
+      const key = `${commit.repository}/${change.path}`;
+      additions.set(key, (additions.get(key) || 0) + change.additions);
+    });
   });
 
-  const languages = Object.entries(languageStats)
-    .map(([language, count]) => ({ language, count }))
-    .sort((a, b) => b.count - a.count);
+  const totals = {};
+  additions.forEach((lines, key) => {
+    const { language, exclusion } = classified.get(key);
+    if (exclusion) {
+      excluded[exclusion]++;
+      return;
+    }
+
+    const total = totals[language] || {
+      files: 0,
+      code: 0,
+      comment: 0,
+      blank: 0,
+    };
+    total.files++;
+    total.code += lines;
+    totals[language] = total;
+  });
 
-  return {
-    languages,
-    totalFiles: files.length,
-  };
+  return buildLanguageStats(totals, excluded);
 }
 
 /**
- * Get file churn statistics (most frequently changed files)
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * Get file churn statistics (most frequently changed files). Files are
+ * followed across renames and listed under their current path.
+ * @param {Object} history - Commit history from loadCommitHistory
  * @returns {Array} - File churn statistics
  */
-export function getFileChurnStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? "--all" : "";
-  const output = execCommand(
-    `git log --name-only --format="" ${branchFilter} ${dateFilter} | sort | uniq -c | sort -rn | head -20`,
-    verbose
-  );
+export function getFileChurnStats(history) {
+  // Paths are only unique within a repository
+  const isMulti = history.repositories.length > 1;
+  const changesByFile = {};
+  history.commits.forEach((commit) => {
+    commit.files.forEach(({ currentPath }) => {
+      const file = isMulti
+        ? `${commit.repository}/${currentPath}`
+        : currentPath;
+      changesByFile[file] = (changesByFile[file] || 0) + 1;
+    });
+  });
 
-  if (!output) return [];
-
-  return output
-    .split("\n")
-    .filter((line) => line.trim())
-    .map((line) => {
-      const match = line.trim().match(/(\d+)\s+(.+)/);
-      if (match) {
-        return {
-          file: match[2],
-          changes: parseInt(match[1]),
-        };
-      }
-      return null;
-    })
-    .filter(Boolean);
+  return Object.entries(changesByFile)
+    .map(([file, changes]) => ({ file, changes }))
+    .sort((a, b) => b.changes - a.changes)
+    .slice(0, 20);
+}
+
+/**
+ * Get the commits that renamed or moved the most files
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @returns {Array} - Up to 10 commits with `{ hash, subject, author, day,
+ *   repository, renames }`, most renames first; repository is only set when
+ *   several repositories are analyzed
+ */
+export function getBiggestRefactors(history) {
+  const isMulti = history.repositories.length > 1;
+  return history.commits
+    .map((commit) => ({
+      hash: commit.hash,
+      subject: commit.subject,
+      author: commit.authorName,
+      day: commit.day,
+      repository: isMulti ? commit.repository : null,
+      renames: commit.files.filter(({ oldPath }) => oldPath).length,
+    }))
+    .filter(({ renames }) => renames > 0)
+    .sort((a, b) => b.renames - a.renames || b.day.localeCompare(a.day))
+    .slice(0, 10);
 }
 
 /**
  * Get branch statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * @param {Object} history - Commit history from loadCommitHistory
  * @returns {Object} - Branch statistics
  */
-export function getBranchStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  
-  // Get all branches (local and remote)
-  const branchesOutput = execCommand(
-    "git branch -a --format='%(refname:short)|%(committerdate:iso)|%(authorname)'",
-    verbose
-  );
-
-  if (!branchesOutput) {
+export function getBranchStats(history) {
+  if (history.refs.length === 0) {
     return {
       branches: [],
       totalBranches: 0,
@@ -459,35 +788,32 @@ export function getBranchStats(options = {}, verbose = false) {
     };
   }
 
-  // Get commit count per branch
-  const branchLines = branchesOutput.split("\n").filter((line) => line.trim());
+  // Commit counts are taken over the loaded history, so they honour the date
+  // filter, and counted for every ref in one pass over the graph
+  const commitCounts = countReachableCommits(
+    history.ancestry,
+    history.refs.map((ref) => ref.hash),
+    new Set(history.allCommits.map((commit) => commit.hash))
+  );
   const branches = [];
 
-  for (const line of branchLines) {
-    const [branchName, lastCommitDate, lastAuthor] = line.split("|");
-    
-    // Skip remote HEAD references
-    if (branchName.includes("HEAD ->")) continue;
-    
+  history.refs.forEach((ref, index) => {
+    const branchName = ref.shortName;
+
     // Clean up remote branch names
     const displayName = branchName.replace("origin/", "");
-    
-    // Get commit count for this branch
-    const commitCount = execCommand(
-      `git rev-list --count ${branchName} ${dateFilter} 2>/dev/null || echo 0`,
-      verbose
-    );
 
-    if (commitCount && parseInt(commitCount) > 0) {
+    const commitCount = commitCounts[index];
+    if (commitCount > 0) {
       branches.push({
         name: displayName,
-        commits: parseInt(commitCount),
-        lastCommitDate: lastCommitDate,
-        lastAuthor: lastAuthor || "Unknown",
+        commits: commitCount,
+        lastCommitDate: ref.lastCommitDate,
+        lastAuthor: ref.lastAuthor || "Unknown",
         isRemote: branchName.includes("origin/"),
       });
     }
-  }
+  });
 
   // Remove duplicates (local and remote versions of same branch)
   const uniqueBranches = [];
@@ -1,33 +1,12 @@
-import { execCommand, getDateFilter } from "./utils.js";
-
 /**
  * Get commit streak statistics
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
+ * @param {Object} history - Commit history from loadCommitHistory
  * @returns {Object} - Streak statistics
  */
-export function getStreakStats(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? '--all' : '';
-  const output = execCommand(
-    `git log --format="%ai" ${branchFilter} ${dateFilter} | cut -d' ' -f1 | sort -u`,
-    verbose
-  );
-
-  if (!output) {
-    return {
-      currentStreak: 0,
-      longestStreak: 0,
-      longestStreakStart: null,
-      longestStreakEnd: null,
-      totalActiveDays: 0,
-      streakMilestones: [],
-    };
-  }
+export function getStreakStats(history) {
+  const activeDays = new Set(history.commits.map((commit) => commit.day));
 
-  const commitDates = output
-    .split("\n")
-    .filter((d) => d.trim())
+  const commitDates = [...activeDays]
     .map((d) => new Date(d))
     .sort((a, b) => a - b);
 
@@ -137,59 +116,107 @@ export function getStreakStats(options = {}, verbose = false) {
   };
 }
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 /**
- * Generate a visual calendar heatmap for commits
- * @param {Object} options - Filter options (year, since, until)
- * @param {boolean} verbose - Whether to log debug info
- * @returns {string} - ASCII calendar visualization
+ * Convert a YYYY-MM-DD string to a UTC timestamp
+ * @param {string} day - The day string
+ * @returns {number} - Milliseconds since the epoch at UTC midnight
  */
-export function generateStreakCalendar(options = {}, verbose = false) {
-  const dateFilter = getDateFilter(options);
-  const branchFilter = options.allBranches ? '--all' : '';
-  const output = execCommand(
-    `git log --format="%ai" ${branchFilter} ${dateFilter} | cut -d' ' -f1`,
-    verbose
-  );
+function dayToTime(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return Date.UTC(year, month - 1, date);
+}
+
+/**
+ * Convert a UTC timestamp to a YYYY-MM-DD string
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - The day string
+ */
+function timeToDay(time) {
+  return new Date(time).toISOString().split("T")[0];
+}
 
-  if (!output) return "";
+/**
+ * Get the commit count thresholds between heatmap intensity levels, using
+ * the quartiles of the days that had commits
+ * @param {Array<number>} counts - Commit counts of active days
+ * @returns {Array<number>} - Upper bounds of levels 1, 2 and 3
+ */
+function getQuartileThresholds(counts) {
+  const sorted = [...counts].sort((a, b) => a - b);
+  if (sorted.length === 0) return [0, 0, 0];
+  const quartile = (q) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return [quartile(0.25), quartile(0.5), quartile(0.75)];
+}
 
+/**
+ * Build a year-long contribution calendar (GitHub-style heatmap). Columns
+ * are weeks starting on Sunday, rows are weekdays.
+ * @param {Object} history - Commit history from loadCommitHistory
+ * @param {Object} options - Filter options (year, since, until)
+ * @returns {Object|null} - Calendar grid, or null without commits
+ */
+export function generateStreakCalendar(history, options = {}) {
   const commitsByDate = {};
-  output
-    .split("\n")
-    .filter((d) => d.trim())
-    .forEach((date) => {
-      commitsByDate[date] = (commitsByDate[date] || 0) + 1;
-    });
-
-  // Get date range
-  const dates = Object.keys(commitsByDate).sort();
-  if (dates.length === 0) return "";
+  history.commits.forEach(({ day }) => {
+    commitsByDate[day] = (commitsByDate[day] || 0) + 1;
+  });
 
-  const startDate = new Date(dates[0]);
-  const endDate = new Date(dates[dates.length - 1]);
+  const dates = Object.keys(commitsByDate).sort();
+  if (dates.length === 0) return null;
+
+  // Show the selected year or range, or the year up to the latest commit
+  const endTime = options.year
+    ? Date.UTC(options.year, 11, 31)
+    : dayToTime(options.until || dates[dates.length - 1]);
+  const startTime = options.year
+    ? Date.UTC(options.year, 0, 1)
+    : Math.max(
+        endTime - 364 * DAY_MS,
+        options.since ? dayToTime(options.since) : -Infinity
+      );
+  const gridStart = startTime - new Date(startTime).getUTCDay() * DAY_MS;
+
+  const inRange = dates.filter((day) => {
+    const time = dayToTime(day);
+    return time >= startTime && time <= endTime;
+  });
+  const thresholds = getQuartileThresholds(
+    inRange.map((day) => commitsByDate[day])
+  );
+  const getLevel = (count) => {
+    if (count === 0) return 0;
+    const level = thresholds.findIndex((threshold) => count <= threshold);
+    return level === -1 ? 4 : level + 1;
+  };
 
-  // Create a simple visualization (last 12 weeks)
-  const weeksToShow = 12;
-  const today = new Date();
-  const calendar = [];
-
-  for (let week = weeksToShow - 1; week >= 0; week--) {
-    const weekRow = [];
-    for (let day = 0; day < 7; day++) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - (week * 7 + (6 - day)));
-      const dateStr = date.toISOString().split("T")[0];
-
-      const commits = commitsByDate[dateStr] || 0;
-      let symbol = "·";
-      if (commits > 0 && commits <= 2) symbol = "▪";
-      else if (commits > 2 && commits <= 5) symbol = "▪";
-      else if (commits > 5) symbol = "█";
-
-      weekRow.push(symbol);
+  const weeks = [];
+  for (
+    let weekStart = gridStart;
+    weekStart <= endTime;
+    weekStart += 7 * DAY_MS
+  ) {
+    const week = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const time = weekStart + weekday * DAY_MS;
+      if (time < startTime || time > endTime) {
+        week.push(null);
+        continue;
+      }
+      const date = timeToDay(time);
+      const count = commitsByDate[date] || 0;
+      week.push({ date, count, level: getLevel(count) });
     }
-    calendar.push(weekRow.join(" "));
+    weeks.push(week);
   }
 
-  return calendar.join("\n");
+  return {
+    startDate: timeToDay(startTime),
+    endDate: timeToDay(endTime),
+    thresholds,
+    totalCommits: inRange.reduce((sum, day) => sum + commitsByDate[day], 0),
+    weeks,
+  };
 }
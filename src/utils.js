@@ -1,15 +1,39 @@
-import { execSync } from "child_process";
+import { execSync, spawn } from "child_process";
+import { existsSync, readdirSync, statSync } from "fs";
+import { basename, join, resolve } from "path";
+import { createInterface } from "readline";
 import chalk from "chalk";
 
+// File lists and attributes of large repositories exceed the 1 MB default
+const MAX_OUTPUT_BYTES = 256 * 1024 * 1024;
+
+// Blob contents read per `git cat-file --batch` call, to bound memory use
+const BLOB_BATCH_BYTES = 64 * 1024 * 1024;
+
 /**
  * Execute a git command and return the result
  * @param {string} command - The command to execute
  * @param {boolean} verbose - Whether to log debug information
+ * @param {string} cwd - Directory to run the command in (default: cwd)
+ * @param {string} input - Text written to the command's stdin
  * @returns {string|null} - The command output or null on error
  */
-export function execCommand(command, verbose = false) {
+export function execCommand(
+  command,
+  verbose = false,
+  cwd = undefined,
+  input = undefined
+) {
   try {
-    const result = execSync(command, { shell: "/bin/sh" }).toString().trim();
+    const result = execSync(command, {
+      shell: "/bin/sh",
+      cwd,
+      input,
+      stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+      maxBuffer: MAX_OUTPUT_BYTES,
+    })
+      .toString()
+      .trim();
     if (verbose) {
       console.log(chalk.blue(`Command: ${command}`));
       console.log(chalk.blue(`Output: ${result}`));
@@ -25,6 +49,148 @@ export function execCommand(command, verbose = false) {
   }
 }
 
+/**
+ * Stream the output of a command line by line
+ * @param {string} command - The command to execute
+ * @param {Function} onLine - Called with each line of output
+ * @param {boolean} verbose - Whether to log debug information
+ * @param {string} cwd - Directory to run the command in (default: cwd)
+ * @returns {Promise<boolean>} - Whether the command succeeded
+ */
+export function streamCommand(command, onLine, verbose = false, cwd) {
+  return new Promise((resolve) => {
+    if (verbose) console.log(chalk.blue(`Command: ${command}`));
+
+    const child = spawn(command, {
+      shell: "/bin/sh",
+      cwd,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const lines = createInterface({ input: child.stdout, crlfDelay: Infinity });
+    let lineCount = 0;
+    let stderr = "";
+
+    lines.on("line", (line) => {
+      lineCount++;
+      onLine(line);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    child.on("error", (error) => {
+      if (verbose) {
+        console.error(chalk.red(`Error executing command: ${command}`));
+        console.error(chalk.red(`Error message: ${error.message}`));
+      }
+      resolve(false);
+    });
+    child.on("close", (code) => {
+      if (code !== 0) {
+        if (verbose) {
+          console.error(chalk.red(`Error executing command: ${command}`));
+          console.error(chalk.red(`Error message: ${stderr.trim()}`));
+        }
+        resolve(false);
+        return;
+      }
+      if (verbose) console.log(chalk.blue(`Output: ${lineCount} lines`));
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * List the regular files in the tree of a revision. Symlinks and submodules
+ * are left out.
+ * @param {string} ref - The revision, e.g. HEAD or a tag
+ * @param {boolean} verbose - Whether to log debug information
+ * @param {string} cwd - Repository root (default: cwd)
+ * @returns {Array} - `{ path, blob, size }` per file; empty when the
+ *   revision has no tree (such as HEAD of an empty repository)
+ */
+export function listTreeFiles(ref, verbose = false, cwd = undefined) {
+  const output = execCommand(
+    `git -c core.quotepath=off ls-tree -r -z --long --full-tree "${ref}"`,
+    verbose,
+    cwd
+  );
+  if (!output) return [];
+
+  // "<mode> <type> <blob> <size>\t<path>", NUL-terminated
+  return output
+    .split("\0")
+    .filter(Boolean)
+    .map((entry) => {
+      const tab = entry.indexOf("\t");
+      const [mode, type, blob, size] = entry.slice(0, tab).split(/\s+/);
+      return { mode, type, blob, size, path: entry.slice(tab + 1) };
+    })
+    .filter(({ mode, type }) => type === "blob" && mode.startsWith("100"))
+    .map(({ path, blob, size }) => ({ path, blob, size: Number(size) }));
+}
+
+/**
+ * Read the contents of blobs with `git cat-file --batch`, in batches so
+ * large trees don't have to fit in memory at once
+ * @param {Array} files - `{ blob, size }` entries, as from listTreeFiles
+ * @param {Function} onBlob - Called with each entry and its contents
+ * @param {boolean} verbose - Whether to log debug information
+ * @param {string} cwd - Repository root (default: cwd)
+ */
+export function readBlobs(files, onBlob, verbose = false, cwd = undefined) {
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+  files.forEach((file) => {
+    if (batch.length > 0 && batchBytes + file.size > BLOB_BATCH_BYTES) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+    batch.push(file);
+    batchBytes += file.size;
+  });
+  if (batch.length > 0) batches.push(batch);
+
+  batches.forEach((entries) => {
+    const bytes = entries.reduce((sum, { size }) => sum + size + 64, 0);
+    let output;
+    try {
+      output = execSync("git cat-file --batch", {
+        cwd,
+        input: entries.map(({ blob }) => blob).join("\n") + "\n",
+        stdio: ["pipe", "pipe", "pipe"],
+        maxBuffer: Math.max(MAX_OUTPUT_BYTES, bytes),
+      });
+    } catch (error) {
+      if (verbose) {
+        console.error(
+          chalk.red("Error executing command: git cat-file --batch")
+        );
+        console.error(chalk.red(`Error message: ${error.message}`));
+      }
+      return;
+    }
+    if (verbose) {
+      console.log(chalk.blue("Command: git cat-file --batch"));
+      console.log(chalk.blue(`Output: ${entries.length} blobs`));
+    }
+
+    // Each blob is "<blob> blob <size>\n<contents>\n"
+    let offset = 0;
+    entries.forEach((entry) => {
+      const headerEnd = output.indexOf(10, offset);
+      const header = output.toString("utf8", offset, headerEnd).split(" ");
+      const size = Number(header[2]);
+      const start = headerEnd + 1;
+      offset = start + (Number.isNaN(size) ? 0 : size + 1);
+      if (header[1] === "blob") {
+        onBlob(entry, output.subarray(start, start + size));
+      }
+    });
+  });
+}
+
 /**
  * Format a date string into a readable format
  * @param {string} dateStr - The date string to format
@@ -81,15 +247,121 @@ export function formatDuration(startDate, endDate) {
 }
 
 /**
- * Get the repository name from the git remote URL
+ * Resolve the repository to analyze and check that it is a git work tree
+ * @param {string} repoPath - Path given with --repo (default: cwd)
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {string} - Absolute path of the repository root
+ */
+export function resolveRepository(repoPath = ".", verbose = false) {
+  const path = resolve(repoPath);
+  if (!existsSync(path) || !statSync(path).isDirectory()) {
+    throw new Error(`Repository path "${path}" does not exist.`);
+  }
+
+  const root = execCommand("git rev-parse --show-toplevel", verbose, path);
+  if (!root) {
+    throw new Error(
+      `"${path}" is not a git repository. Run gitwrapped inside a repository or pass --repo <path>.`
+    );
+  }
+  return root;
+}
+
+// How many directory levels below --scan are searched for repositories
+const SCAN_DEPTH = 2;
+const SCAN_SKIP = new Set(["node_modules", "vendor"]);
+
+/**
+ * Find the git repositories inside a directory. Repositories are not
+ * searched for nested repositories.
+ * @param {string} dir - The directory to scan
+ * @returns {Array<string>} - Paths of the repositories found
+ */
+export function findRepositories(dir) {
+  const root = resolve(dir);
+  if (!existsSync(root) || !statSync(root).isDirectory()) {
+    throw new Error(`Scan directory "${root}" does not exist.`);
+  }
+
+  const found = [];
+  const visit = (path, depth) => {
+    if (existsSync(join(path, ".git"))) {
+      found.push(path);
+      return;
+    }
+    if (depth === SCAN_DEPTH) return;
+
+    let entries = [];
+    try {
+      entries = readdirSync(path, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    entries
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          !SCAN_SKIP.has(entry.name)
+      )
+      .map((entry) => entry.name)
+      .sort()
+      .forEach((name) => visit(join(path, name), depth + 1));
+  };
+  visit(root, 0);
+
+  if (found.length === 0) {
+    throw new Error(`No git repositories found in "${root}".`);
+  }
+  return found;
+}
+
+/**
+ * Resolve every repository to analyze from --repo and --scan
+ * @param {Array<string>} repoPaths - Paths given with --repo
+ * @param {string} scanDir - Directory given with --scan
+ * @param {boolean} verbose - Whether to log debug info
+ * @returns {Array} - `{ name, path }` of each repository, with unique names
+ */
+export function resolveRepositories(repoPaths = [], scanDir = null, verbose) {
+  const paths = [...repoPaths, ...(scanDir ? findRepositories(scanDir) : [])];
+  const roots = [
+    ...new Set(
+      (paths.length > 0 ? paths : ["."]).map((path) =>
+        resolveRepository(path, verbose)
+      )
+    ),
+  ];
+
+  // Forks and clones often share a remote name; fall back to the directory
+  const names = new Set();
+  return roots.map((root) => {
+    let name = getRepositoryName(verbose, root);
+    if (names.has(name)) name = basename(root);
+    for (let suffix = 2; names.has(name); suffix++) {
+      name = `${basename(root)}-${suffix}`;
+    }
+    names.add(name);
+    return { name, path: root };
+  });
+}
+
+/**
+ * Get the repository name from the git remote URL, falling back to the
+ * name of the repository directory
  * @param {boolean} verbose - Whether to log errors
+ * @param {string} repoPath - Repository root (default: cwd)
  * @returns {string} - The repository name
  */
-export function getRepositoryName(verbose = false) {
-  const remoteUrl = execCommand("git config --get remote.origin.url", verbose);
+export function getRepositoryName(verbose = false, repoPath = undefined) {
+  const remoteUrl = execCommand(
+    "git config --get remote.origin.url",
+    verbose,
+    repoPath
+  );
   if (!remoteUrl) {
     if (verbose) console.error(chalk.red('No remote named "origin" found.'));
-    return "unknown";
+    return repoPath ? basename(repoPath) : "unknown";
   }
 
   const repoNameMatch = remoteUrl.match(/\/([^\/]+?)(\.git)?$/);
@@ -113,37 +385,221 @@ export function getDateFilter(options = {}) {
   if (options.year) {
     return `--since="${options.year}-01-01" --until="${options.year}-12-31 23:59:59"`;
   } else if (options.since || options.until) {
+    // Both bounds are whole days and inclusive
     let filter = "";
-    if (options.since) filter += `--since="${options.since}"`;
-    if (options.until) filter += ` --until="${options.until}"`;
+    if (options.since) filter += `--since="${options.since} 00:00:00"`;
+    if (options.until) filter += ` --until="${options.until} 23:59:59"`;
     return filter.trim();
   }
   return "";
 }
 
 /**
- * Parse command line arguments
- * @returns {Object} - Parsed options
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - The date to format
+ * @returns {string} - The day string
+ */
+export function formatDay(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Intl formatters per IANA time zone, created on first use
+const zoneFormatters = new Map();
+
+/**
+ * Check whether a --tz value is "author", "local" or a known IANA time zone
+ * @param {string} tz - The time zone option
+ * @returns {boolean} - Whether the value can be used
+ */
+export function isValidTimeZone(tz) {
+  if (tz === "author" || tz === "local") return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar day, hour and weekday of a commit date in a time zone
+ * @param {string} date - Strict ISO 8601 date with the author's UTC offset
+ * @param {string} tz - "author" for the author's own offset, "local" for the
+ *   machine's time zone, or an IANA time zone such as "Europe/Berlin"
+ * @returns {Object} - `{ day, hour, weekday }`, weekday 0 being Sunday
  */
-export function parseCliArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    verbose: args.includes("--verbose"),
-    year: null,
-    allTime: args.includes("--all-time"),
-    noEmoji: args.includes("--no-emoji"),
-    minimal: args.includes("--minimal"),
-    // Default to true, but allow --current-branch-only to override
-    allBranches: !args.includes("--current-branch-only"),
+export function getZonedTime(date, tz = "author") {
+  if (tz === "author") {
+    const day = date.slice(0, 10);
+    return {
+      day,
+      hour: Number(date.slice(11, 13)),
+      weekday: new Date(`${day}T00:00:00Z`).getUTCDay(),
+    };
+  }
+
+  const instant = new Date(date);
+  if (tz === "local") {
+    return {
+      day: formatDay(instant),
+      hour: instant.getHours(),
+      weekday: instant.getDay(),
+    };
+  }
+
+  if (!zoneFormatters.has(tz)) {
+    zoneFormatters.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        hourCycle: "h23",
+        weekday: "short",
+      })
+    );
+  }
+  const parts = Object.fromEntries(
+    zoneFormatters
+      .get(tz)
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+      parts.weekday
+    ),
   };
+}
 
-  // Parse --year flag
-  const yearIndex = args.findIndex((arg) => arg === "--year");
-  if (yearIndex !== -1 && args[yearIndex + 1]) {
-    options.year = parseInt(args[yearIndex + 1]);
+/**
+ * List every month from the first to the last, inclusive
+ * @param {string} first - First month (YYYY-MM)
+ * @param {string} last - Last month (YYYY-MM)
+ * @returns {Array<string>} - Months as YYYY-MM
+ */
+export function listMonths(first, last) {
+  const months = [];
+  let [year, month] = first.split("-").map(Number);
+  for (;;) {
+    const current = `${year}-${String(month).padStart(2, "0")}`;
+    months.push(current);
+    if (current >= last) return months;
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
   }
+}
 
-  return options;
+/**
+ * Validate a YYYY-MM-DD date given on the command line
+ * @param {string} value - The date string
+ * @param {string} flag - Flag name for error messages
+ * @returns {string} - The validated date string
+ */
+function parseDayArg(value, flag) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  const date = match && new Date(match[1], match[2] - 1, match[3]);
+  if (!date || formatDay(date) !== value) {
+    throw new Error(`Invalid ${flag} date "${value}". Expected YYYY-MM-DD.`);
+  }
+  return value;
+}
+
+/**
+ * Resolve the date range flags into a year or a since/until pair of days
+ * @param {Object} range - Raw flag values
+ * @param {string} range.year - --year, e.g. "2025"
+ * @param {string} range.since - --since, e.g. "2025-01-15"
+ * @param {string} range.until - --until, e.g. "2025-02-15"
+ * @param {string} range.last - --last, e.g. "30 days", "2w" or "6 months"
+ * @param {string} range.quarter - --quarter, e.g. "2025Q3"
+ * @param {string} range.month - --month, e.g. "2025-06"
+ * @param {Date} now - Reference date for --last
+ * @returns {Object} - `{ year, since, until }`
+ */
+export function resolveDateRange(range = {}, now = new Date()) {
+  const given = ["year", "last", "quarter", "month"].filter(
+    (key) => range[key]
+  );
+  if (range.since || range.until) given.push("since/until");
+  if (given.length > 1) {
+    throw new Error(
+      "Use only one of --year, --last, --quarter, --month or --since/--until."
+    );
+  }
+
+  if (range.year) {
+    if (!/^\d{4}$/.test(range.year)) {
+      throw new Error(`Invalid --year "${range.year}". Expected YYYY.`);
+    }
+    return { year: parseInt(range.year), since: null, until: null };
+  }
+
+  if (range.last) {
+    const match = /^(\d+)\s*(d|days?|w|weeks?|m|months?)$/i.exec(
+      range.last.trim()
+    );
+    if (!match || parseInt(match[1]) === 0) {
+      throw new Error(
+        `Invalid --last "${range.last}". Expected a period like "30 days", "2 weeks" or "6 months".`
+      );
+    }
+    const amount = parseInt(match[1]);
+    const unit = match[2][0].toLowerCase();
+    const since = new Date(now);
+    if (unit === "d") since.setDate(since.getDate() - amount);
+    if (unit === "w") since.setDate(since.getDate() - amount * 7);
+    if (unit === "m") since.setMonth(since.getMonth() - amount);
+    return { year: null, since: formatDay(since), until: formatDay(now) };
+  }
+
+  if (range.quarter) {
+    const match = /^(\d{4})-?Q([1-4])$/i.exec(range.quarter);
+    if (!match) {
+      throw new Error(
+        `Invalid --quarter "${range.quarter}". Expected YYYYQN, e.g. 2025Q3.`
+      );
+    }
+    const year = parseInt(match[1]);
+    const firstMonth = (parseInt(match[2]) - 1) * 3;
+    return {
+      year: null,
+      since: formatDay(new Date(year, firstMonth, 1)),
+      until: formatDay(new Date(year, firstMonth + 3, 0)),
+    };
+  }
+
+  if (range.month) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(range.month);
+    if (!match) {
+      throw new Error(
+        `Invalid --month "${range.month}". Expected YYYY-MM, e.g. 2025-06.`
+      );
+    }
+    const year = parseInt(match[1]);
+    const month = parseInt(match[2]);
+    return {
+      year: null,
+      since: formatDay(new Date(year, month - 1, 1)),
+      until: formatDay(new Date(year, month, 0)),
+    };
+  }
+
+  const since = range.since ? parseDayArg(range.since, "--since") : null;
+  const until = range.until ? parseDayArg(range.until, "--until") : null;
+  if (since && until && since > until) {
+    throw new Error(`--since (${since}) must not be after --until (${until}).`);
+  }
+  return { year: null, since, until };
 }
 
 /**
@@ -159,14 +615,20 @@ export function getFileExtension(filePath) {
 /**
  * Map file extension to programming language
  * @param {string} ext - The file extension
- * @returns {string} - The programming language name
+ * @param {string|null} fallback - Returned for unknown extensions
+ *   (default: the extension in upper case)
+ * @returns {string|null} - The programming language name
  */
-export function extensionToLanguage(ext) {
+export function extensionToLanguage(ext, fallback = ext.toUpperCase()) {
   const languageMap = {
     js: "JavaScript",
     jsx: "JavaScript",
+    mjs: "JavaScript",
+    cjs: "JavaScript",
     ts: "TypeScript",
     tsx: "TypeScript",
+    mts: "TypeScript",
+    cts: "TypeScript",
     py: "Python",
     java: "Java",
     cpp: "C++",
@@ -192,6 +654,15 @@ export function extensionToLanguage(ext) {
     xml: "XML",
     yaml: "YAML",
     yml: "YAML",
+    toml: "TOML",
+    csv: "CSV",
+    txt: "Text",
+    rst: "reStructuredText",
+    mk: "Makefile",
+    cmake: "CMake",
+    dockerfile: "Dockerfile",
+    groovy: "Groovy",
+    gradle: "Groovy",
     md: "Markdown",
     sql: "SQL",
     sh: "Shell",
@@ -214,5 +685,5 @@ export function extensionToLanguage(ext) {
     vb: "Visual Basic",
   };
 
-  return languageMap[ext] || ext.toUpperCase();
+  return languageMap[ext] || fallback;
 }